@@ -0,0 +1,414 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import {
+  WRITE_ROLES,
+  checkRole,
+  ledProjectIds,
+} from "@/lib/tracker/access";
+import {
+  ALERT_DELIVER_JOB,
+  normalizeAlertRule,
+  sendTestAlert,
+} from "@/lib/tracker/alerts";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { retryJobs } from "@/lib/tracker/jobs";
+import { publicChannel } from "@/lib/tracker/notify";
+import { findProject } from "@/lib/tracker/projects";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+const MAX_SNOOZE_MINUTES = 30 * 24 * 60;
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Heads manage every project's alerts; leads those of the projects they
+ * lead. Returns { session, db, projectIds } — projectIds is null for
+ * heads (no restriction) — or { response }.
+ */
+async function requireManager(action) {
+  const session = await getSession();
+  const forbidden = checkRole(session, WRITE_ROLES, action);
+  if (forbidden) return { response: fail(forbidden.status, forbidden.message) };
+
+  const client = await clientPromise;
+  const db = client.db(ERRORS_DB);
+  await ensureIndexes(db);
+  const projectIds =
+    session.role === "head" ? null : await ledProjectIds(db, session);
+  return { session, db, projectIds };
+}
+
+function canManage(projectIds, projectId) {
+  return !projectIds || projectIds.includes(projectId);
+}
+
+/**
+ * A rule as returned by the API, webhook secrets masked. With `before`
+ * (the rule ahead of an update), secrets it didn't have stay readable:
+ * the response is the only place a newly generated one is shown.
+ */
+function publicRule(rule, before = null) {
+  const known = before && new Set(before.channels.map((c) => c.secret));
+  return {
+    ...rule,
+    channels: rule.channels.map((c) =>
+      known && c.secret && !known.has(c.secret) ? c : publicChannel(c),
+    ),
+  };
+}
+
+async function findRule(db, projectIds, id) {
+  if (!ObjectId.isValid(id)) return { response: fail(400, "Invalid ObjectId.") };
+  const rule = await db
+    .collection(COLLECTIONS.alertRules)
+    .findOne({ _id: new ObjectId(id) });
+  if (!rule || !canManage(projectIds, rule.projectId)) {
+    return { response: fail(404, "Alert rule not found.") };
+  }
+  return { rule };
+}
+
+/* ───────────────────── GET (rules + delivery log) ───────────────────── */
+
+/**
+ *   ?projectId=<id>   – one project's rules and deliveries
+ *   ?ruleId=<id>      – deliveries of one rule
+ *
+ * Returns the rules and the latest 100 deliveries (every attempt, with
+ * the HTTP status or error it got).
+ */
+export async function GET(request) {
+  try {
+    const { db, projectIds, response } = await requireManager("read alerts");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId");
+    const ruleId = searchParams.get("ruleId");
+
+    if (projectId && !canManage(projectIds, projectId)) {
+      return fail(403, "Leads can only manage alerts of projects they lead.");
+    }
+    const scope = {};
+    if (projectId) scope.projectId = projectId;
+    else if (projectIds) scope.projectId = { $in: projectIds };
+
+    const deliveryFilter = { ...scope };
+    if (ruleId) {
+      if (!ObjectId.isValid(ruleId)) return fail(400, "Invalid ruleId.");
+      deliveryFilter.ruleId = new ObjectId(ruleId);
+    }
+
+    const [rules, deliveries] = await Promise.all([
+      db
+        .collection(COLLECTIONS.alertRules)
+        .find(scope)
+        .sort({ projectId: 1, createdAt: 1 })
+        .toArray(),
+      db
+        .collection(COLLECTIONS.alertDeliveries)
+        .find(deliveryFilter)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .toArray(),
+    ]);
+
+    return Response.json(
+      {
+        success: true,
+        rules: rules.map((r) => publicRule(r)),
+        deliveries: deliveries.map((d) => ({
+          ...d,
+          channel: publicChannel(d.channel),
+        })),
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to fetch alerts.");
+  }
+}
+
+/* ───────────────────── POST (create rule) ───────────────────── */
+
+/**
+ * { projectId, name?, trigger, channels, cooldownMinutes?, enabled? }
+ * (see lib/tracker/alerts.js). Webhook channels without a `secret` get
+ * one; the response is the only place it is shown in full.
+ */
+export async function POST(request) {
+  try {
+    const { session, db, projectIds, response } =
+      await requireManager("manage alerts");
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+    if (!body.projectId || typeof body.projectId !== "string") {
+      return fail(400, "Invalid payload: projectId is required.");
+    }
+    if (!canManage(projectIds, body.projectId)) {
+      return fail(403, "Leads can only manage alerts of projects they lead.");
+    }
+    if (!(await findProject(db, body.projectId))) {
+      return fail(404, "Project not found.");
+    }
+
+    const { rule, error } = normalizeAlertRule(body);
+    if (error) return fail(400, error);
+
+    const now = new Date();
+    const doc = {
+      _id: new ObjectId(),
+      projectId: body.projectId,
+      ...rule,
+      snoozedUntil: null,
+      lastFiredAt: null,
+      createdAt: now,
+      createdBy: { id: session.id, name: session.name ?? null },
+      updatedAt: now,
+    };
+    await db.collection(COLLECTIONS.alertRules).insertOne(doc);
+
+    await writeAudit(db, {
+      action: "alerts.create",
+      session,
+      target: { ruleId: doc._id, projectId: doc.projectId },
+      result: { trigger: doc.trigger.type },
+    });
+
+    return Response.json(
+      { success: true, data: doc },
+      { status: 201, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to create alert rule.");
+  }
+}
+
+/* ───────────────────── PATCH (settings, snooze, test, retry) ───────────────────── */
+
+/**
+ * { id, name?, trigger?, channels?, cooldownMinutes?, enabled? }
+ *                                          → update; omitted fields stay
+ * { id, action: "snooze", minutes }        → mute until then
+ * { id, action: "unsnooze" }
+ * { id, action: "test" }                   → send a test alert through
+ *                                            every channel now
+ * { deliveryId, action: "retry" }          → resend a failed delivery
+ */
+export async function PATCH(request) {
+  try {
+    const { session, db, projectIds, response } =
+      await requireManager("manage alerts");
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+
+    if (body.action === "retry") return retryDelivery(db, projectIds, body);
+
+    const found = await findRule(db, projectIds, body.id);
+    if (found.response) return found.response;
+    const { rule } = found;
+    const rules = db.collection(COLLECTIONS.alertRules);
+    const now = new Date();
+
+    switch (body.action) {
+      case undefined: {
+        const { rule: settings, error } = normalizeAlertRule(body, rule);
+        if (error) return fail(400, error);
+        const updated = await rules.findOneAndUpdate(
+          { _id: rule._id },
+          { $set: { ...settings, updatedAt: now } },
+          { returnDocument: "after" },
+        );
+        await writeAudit(db, {
+          action: "alerts.update",
+          session,
+          target: { ruleId: rule._id, projectId: rule.projectId },
+          result: { enabled: updated.enabled },
+        });
+        return Response.json(
+          { success: true, data: publicRule(updated, rule) },
+          { headers: corsHeaders },
+        );
+      }
+      case "snooze":
+      case "unsnooze": {
+        const minutes = body.action === "snooze" ? body.minutes : 0;
+        if (
+          body.action === "snooze" &&
+          !(
+            Number.isInteger(minutes) &&
+            minutes > 0 &&
+            minutes <= MAX_SNOOZE_MINUTES
+          )
+        ) {
+          return fail(
+            400,
+            `Invalid minutes: expected an integer 1–${MAX_SNOOZE_MINUTES}.`,
+          );
+        }
+        const snoozedUntil = minutes
+          ? new Date(now.getTime() + minutes * 60 * 1000)
+          : null;
+        const updated = await rules.findOneAndUpdate(
+          { _id: rule._id },
+          { $set: { snoozedUntil, updatedAt: now } },
+          { returnDocument: "after" },
+        );
+        await writeAudit(db, {
+          action: `alerts.${body.action}`,
+          session,
+          target: { ruleId: rule._id, projectId: rule.projectId },
+          result: { snoozedUntil },
+        });
+        return Response.json(
+          { success: true, data: publicRule(updated) },
+          { headers: corsHeaders },
+        );
+      }
+      case "test": {
+        const deliveries = await sendTestAlert(db, rule);
+        const results = deliveries.map((d) => ({
+          channel: publicChannel(d.channel),
+          ...d.attempts[0],
+        }));
+        return Response.json(
+          {
+            success: results.every((r) => r.ok),
+            message: results.every((r) => r.ok)
+              ? "Test alert delivered."
+              : "Some channels failed.",
+            results,
+          },
+          { headers: corsHeaders },
+        );
+      }
+      default:
+        return fail(400, `Unknown action: ${body.action}.`);
+    }
+  } catch (err) {
+    return errorResponse(err, "Failed to update alert rule.");
+  }
+}
+
+async function retryDelivery(db, projectIds, body) {
+  if (!ObjectId.isValid(body.deliveryId)) {
+    return fail(400, "Invalid deliveryId.");
+  }
+  const deliveries = db.collection(COLLECTIONS.alertDeliveries);
+  const delivery = await deliveries.findOne({
+    _id: new ObjectId(body.deliveryId),
+  });
+  if (!delivery || !canManage(projectIds, delivery.projectId)) {
+    return fail(404, "Delivery not found.");
+  }
+  if (delivery.test) return fail(409, "Test deliveries are not retried.");
+  if (delivery.status === "delivered") {
+    return fail(409, "Delivery already succeeded.");
+  }
+
+  const retried = await retryJobs(db, {
+    type: ALERT_DELIVER_JOB,
+    "payload.deliveryId": delivery._id,
+  });
+  if (retried) {
+    await deliveries.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "retrying" } },
+    );
+  }
+  return Response.json(
+    {
+      success: true,
+      message: retried ? "Delivery queued." : "Delivery is already running.",
+      retried,
+    },
+    { headers: corsHeaders },
+  );
+}
+
+/* ───────────────────── DELETE ───────────────────── */
+
+/** ?id=<ruleId> — the rule goes; its delivery log ages out on its own. */
+export async function DELETE(request) {
+  try {
+    const { session, db, projectIds, response } =
+      await requireManager("manage alerts");
+    if (response) return response;
+
+    const id = new URL(request.url).searchParams.get("id");
+    const found = await findRule(db, projectIds, id);
+    if (found.response) return found.response;
+
+    await db.collection(COLLECTIONS.alertRules).deleteOne({
+      _id: found.rule._id,
+    });
+    await writeAudit(db, {
+      action: "alerts.delete",
+      session,
+      target: { ruleId: found.rule._id, projectId: found.rule.projectId },
+      result: { deleted: 1 },
+    });
+
+    return Response.json(
+      { success: true, message: "Alert rule deleted." },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to delete alert rule.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -1,4 +1,18 @@
 import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import {
+  breakdownPipeline,
+  parseBreakdowns,
+  withShares,
+} from "@/lib/tracker/breakdowns";
+import { DROP_REASONS } from "@/lib/tracker/limits";
+import { buildErrorQuery } from "@/lib/tracker/query";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
@@ -15,20 +29,75 @@ export async function OPTIONS() {
 
 export async function GET(request) {
   try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read analytics");
+    if (forbidden) {
+      return Response.json(
+        { success: false, message: forbidden.message },
+        { status: forbidden.status, headers: corsHeaders },
+      );
+    }
+
     const { searchParams } = new URL(request.url);
-    const projectId = searchParams.get("projectId"); // optional filter
     const topN = Math.min(
       parseInt(searchParams.get("top") || "50", 10) || 50,
       1000,
     );
 
-    const match = projectId ? { projectId } : {};
+    // projectId / status / release / environment / from / to / issueId /
+    // browser / os / device / country — all optional
+    const { query: match, filtered, error } = buildErrorQuery(searchParams, session);
+    if (error) {
+      return Response.json(
+        { success: false, message: error },
+        { status: 400, headers: corsHeaders },
+      );
+    }
+
+    // ?breakdowns=browser,os,device,country,state,city (or "all")
+    const { names: breakdownNames, error: breakdownError } = parseBreakdowns(
+      searchParams.get("breakdowns"),
+    );
+    if (breakdownError) {
+      return Response.json(
+        { success: false, message: breakdownError },
+        { status: 400, headers: corsHeaders },
+      );
+    }
 
     const client = await clientPromise;
-    const collection = client.db("errors").collection("pixpro");
+    const db = client.db(ERRORS_DB);
+    // Free-text search needs the text index
+    await ensureIndexes(db);
+    const collection = db.collection(COLLECTIONS.errors);
+
+    // Ingest counters are per project and day only, so status / release /
+    // environment filters don't narrow them
+    const usageMatch = { period: "day" };
+    if (match.projectId) usageMatch.projectId = match.projectId;
+    if (match.timestamp) {
+      const { $gte: from, $lte: to } = match.timestamp;
+      usageMatch.start = {};
+      // Day counters start at UTC midnight; include the day `from` is in
+      if (from) {
+        const day = new Date(from);
+        day.setUTCHours(0, 0, 0, 0);
+        usageMatch.start.$gte = day;
+      }
+      if (to) usageMatch.start.$lte = to;
+    }
 
-    const [totalErrors, projectCounts, errorMessages] = await Promise.all([
-      // Total errors (respects projectId filter if present)
+    const [
+      totalErrors,
+      projectCounts,
+      errorMessages,
+      topIssues,
+      releaseCounts,
+      environmentCounts,
+      usageByDay,
+      [breakdowns = {}],
+    ] = await Promise.all([
+      // Total errors (respects the filters above)
       collection.countDocuments(match),
 
       // Count per project
@@ -57,16 +126,142 @@ export async function GET(request) {
           { $project: { _id: 0, message: "$_id", count: 1, lastSeen: 1 } },
         ])
         .toArray(),
+
+      // Count per fingerprinted issue (legacy rows without issueId are skipped)
+      collection
+        .aggregate([
+          { $match: { $and: [match, { issueId: { $ne: null } }] } },
+          {
+            $group: {
+              _id: "$issueId",
+              count: { $sum: 1 },
+              lastSeen: { $max: "$timestamp" },
+            },
+          },
+          { $sort: { count: -1 } },
+          { $limit: topN },
+          {
+            $lookup: {
+              from: COLLECTIONS.issues,
+              localField: "_id",
+              foreignField: "_id",
+              as: "issue",
+            },
+          },
+          { $unwind: "$issue" },
+          {
+            $project: {
+              _id: 0,
+              issueId: "$_id",
+              name: "$issue.name",
+              message: "$issue.message",
+              culprit: "$issue.culprit",
+              count: 1,
+              lastSeen: 1,
+              firstSeen: "$issue.firstSeen",
+              firstRelease: "$issue.firstRelease",
+              lastRelease: "$issue.lastRelease",
+            },
+          },
+        ])
+        .toArray(),
+
+      // Count per release (untagged events are skipped)
+      collection
+        .aggregate([
+          { $match: { $and: [match, { release: { $ne: null } }] } },
+          {
+            $group: {
+              _id: "$release",
+              count: { $sum: 1 },
+              firstSeen: { $min: "$timestamp" },
+              lastSeen: { $max: "$timestamp" },
+            },
+          },
+          { $sort: { lastSeen: -1 } },
+          { $limit: topN },
+          {
+            $project: {
+              _id: 0,
+              release: "$_id",
+              count: 1,
+              firstSeen: 1,
+              lastSeen: 1,
+            },
+          },
+        ])
+        .toArray(),
+
+      // Count per environment
+      collection
+        .aggregate([
+          { $match: match },
+          { $group: { _id: "$environment", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, environment: "$_id", count: 1 } },
+        ])
+        .toArray(),
+
+      // Accepted vs dropped at ingest (sampling, quota, rate limits) per day
+      db
+        .collection(COLLECTIONS.usage)
+        .aggregate([
+          { $match: usageMatch },
+          {
+            $group: {
+              _id: "$start",
+              accepted: { $sum: "$accepted" },
+              ...Object.fromEntries(
+                DROP_REASONS.map((r) => [r, { $sum: `$dropped.${r}` }]),
+              ),
+            },
+          },
+          { $sort: { _id: 1 } },
+        ])
+        .toArray(),
+
+      // Facets by user agent and geography, only when asked for
+      breakdownNames.length
+        ? collection
+            .aggregate(breakdownPipeline(match, breakdownNames, topN))
+            .toArray()
+        : [],
     ]);
 
+    const usage = { accepted: 0, dropped: 0, droppedBy: {}, byDay: [] };
+    for (const reason of DROP_REASONS) usage.droppedBy[reason] = 0;
+    for (const day of usageByDay) {
+      const droppedBy = {};
+      for (const reason of DROP_REASONS) {
+        droppedBy[reason] = day[reason];
+        usage.droppedBy[reason] += day[reason];
+      }
+      const dropped = DROP_REASONS.reduce((n, r) => n + day[r], 0);
+      usage.accepted += day.accepted;
+      usage.dropped += dropped;
+      usage.byDay.push({
+        date: day._id,
+        accepted: day.accepted,
+        dropped,
+        droppedBy,
+      });
+    }
+
     return Response.json(
       {
         success: true,
-        filtered: Boolean(projectId),
+        filtered,
         totalErrors,
         projectCount: projectCounts.length,
         projectCounts,
         errorMessages,
+        topIssues,
+        releaseCounts,
+        environmentCounts,
+        usage,
+        ...(breakdownNames.length && {
+          breakdowns: withShares(breakdowns, totalErrors),
+        }),
       },
       { headers: corsHeaders },
     );
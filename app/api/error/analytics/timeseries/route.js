@@ -0,0 +1,109 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import { buildErrorQuery } from "@/lib/tracker/query";
+import {
+  bucketPipeline,
+  fillBuckets,
+  resolveRange,
+  totalsPipeline,
+} from "@/lib/tracker/timeseries";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/* ───────────────────── GET ───────────────────── */
+
+/**
+ *   ?interval=minute|hour|day|week   (default day)
+ *   ?from / ?to                       (default: a range that suits the interval)
+ *   ?projectId / issueId / browser / os / device / country / release /
+ *    environment / status
+ *
+ * Returns every bucket in the range with its occurrence count and the
+ * number of distinct users affected, plus totals for the whole range.
+ */
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read analytics");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    const { searchParams } = new URL(request.url);
+    const { query, filtered, error } = buildErrorQuery(searchParams, session);
+    if (error) return fail(400, error);
+
+    const range = resolveRange(searchParams, query.timestamp);
+    if (range.error) return fail(400, range.error);
+    const { interval, from, to } = range;
+    const match = { ...query, timestamp: { $gte: from, $lte: to } };
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    // Free-text search needs the text index
+    await ensureIndexes(db);
+    const collection = db.collection(COLLECTIONS.errors);
+
+    const [rows, [totals]] = await Promise.all([
+      collection.aggregate(bucketPipeline(match, interval)).toArray(),
+      collection.aggregate(totalsPipeline(match)).toArray(),
+    ]);
+
+    return Response.json(
+      {
+        success: true,
+        filtered,
+        interval,
+        from,
+        to,
+        totals: { count: totals?.count ?? 0, users: totals?.users ?? 0 },
+        buckets: fillBuckets(rows, range),
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to build time series.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
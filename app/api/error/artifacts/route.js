@@ -0,0 +1,244 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, READ_ROLES, checkRole } from "@/lib/tracker/access";
+import {
+  MAX_ARTIFACT_BYTES,
+  artifactKind,
+  artifactName,
+  saveArtifact,
+} from "@/lib/tracker/artifacts";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { authorizeUpload } from "@/lib/tracker/projects";
+import { invalidateArtifactCache } from "@/lib/tracker/sourcemaps";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** A source map must at least be JSON with a version and mappings. */
+function isSourceMap(text) {
+  try {
+    const json = JSON.parse(text);
+    return Boolean(json?.version && (json.mappings || json.sections));
+  } catch {
+    return false;
+  }
+}
+
+/* ───────────────────── GET (list, no content) ───────────────────── */
+
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "list artifacts");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId");
+    const release = searchParams.get("release");
+    if (!projectId) return fail(400, "projectId is required.");
+
+    const query = { projectId };
+    if (release) query.release = release;
+
+    const client = await clientPromise;
+    const data = await client
+      .db(ERRORS_DB)
+      .collection(COLLECTIONS.artifacts)
+      .find(query)
+      .project({ content: 0 })
+      .sort({ release: 1, name: 1 })
+      .toArray();
+
+    return Response.json(
+      { success: true, count: data.length, data },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to list artifacts.");
+  }
+}
+
+/* ───────────────────── POST (multipart upload) ───────────────────── */
+
+/**
+ * multipart/form-data:
+ *   projectId  – required
+ *   release    – required, e.g. "web@1.4.2" or a git sha
+ *   prefix     – URL path the files are served from (default "~/")
+ *   file       – one or more .map files and, optionally, original sources
+ *
+ * Authenticated with a project upload token (Authorization: Bearer pxu_…)
+ * or a `head` session.
+ */
+export async function POST(request) {
+  try {
+    let form;
+    try {
+      form = await request.formData();
+    } catch {
+      return fail(400, "Expected a multipart/form-data body.");
+    }
+
+    const projectId = form.get("projectId");
+    const release = form.get("release");
+    const prefix = form.get("prefix") || "~/";
+    if (typeof projectId !== "string" || !projectId) {
+      return fail(400, "projectId is required.");
+    }
+    if (typeof release !== "string" || !release) {
+      return fail(400, "release is required.");
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    // Build pipelines use an upload token; heads may upload by hand.
+    const authorization = request.headers.get("authorization");
+    let uploadedBy;
+    if (authorization) {
+      const auth = await authorizeUpload(db, { authorization, projectId });
+      if (!auth.project) return fail(auth.status, auth.message);
+      uploadedBy = { token: true };
+    } else {
+      const session = await getSession();
+      const forbidden = checkRole(session, ADMIN_ROLES, "upload artifacts");
+      if (forbidden) return fail(forbidden.status, forbidden.message);
+      uploadedBy = { id: session.id, name: session.name ?? null };
+    }
+
+    const files = form.getAll("file").filter((f) => typeof f !== "string");
+    if (!files.length) return fail(400, "No files uploaded.");
+
+    const results = [];
+    for (const file of files) {
+      const name = artifactName(file.name, String(prefix));
+      if (file.size > MAX_ARTIFACT_BYTES) {
+        results.push({ name, accepted: false, reason: "File too large." });
+        continue;
+      }
+
+      const content = await file.text();
+      if (artifactKind(name) === "sourcemap" && !isSourceMap(content)) {
+        results.push({ name, accepted: false, reason: "Not a source map." });
+        continue;
+      }
+
+      const saved = await saveArtifact(db, {
+        projectId,
+        release,
+        name,
+        content,
+        uploadedBy,
+      });
+      results.push({
+        name,
+        accepted: true,
+        kind: saved.kind,
+        size: saved.size,
+        sha1: saved.sha1,
+      });
+    }
+
+    const accepted = results.filter((r) => r.accepted).length;
+    if (accepted) await invalidateArtifactCache(db, projectId);
+    return Response.json(
+      {
+        success: accepted > 0,
+        message: `Stored ${accepted} of ${results.length} file(s).`,
+        projectId,
+        release,
+        results,
+      },
+      { status: accepted > 0 ? 201 : 400, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to upload artifacts.");
+  }
+}
+
+/* ───────────────────── DELETE (head only) ───────────────────── */
+
+export async function DELETE(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, ADMIN_ROLES, "delete artifacts");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return fail(400, "Malformed JSON body.");
+    }
+    if (!body.projectId || !body.release) {
+      return fail(400, "Invalid payload: projectId and release are required.");
+    }
+
+    const filter = { projectId: body.projectId, release: body.release };
+    if (body.name) filter.name = body.name;
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    const result = await db
+      .collection(COLLECTIONS.artifacts)
+      .deleteMany(filter);
+    await invalidateArtifactCache(db, body.projectId);
+
+    await writeAudit(db, {
+      action: "artifact.delete",
+      session,
+      target: filter,
+      result: { deletedCount: result.deletedCount },
+    });
+
+    return Response.json(
+      { success: true, message: `Deleted ${result.deletedCount} artifact(s).` },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to delete artifacts.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -0,0 +1,138 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import {
+  WRITE_ROLES,
+  checkRole,
+  scopeWriteFilter,
+} from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import {
+  assignUpdate,
+  findAssignee,
+  parseTarget,
+  targetErrorsFilter,
+} from "@/lib/tracker/triage";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "PATCH, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/* ───────────────────── PATCH (assign / unassign) ───────────────────── */
+
+/**
+ * { errorId, userId }   → assign one occurrence
+ * { issueId, userId }   → assign the issue and every occurrence of it
+ * userId: null          → unassign
+ *
+ * `userId` is a user of the task manager (GET /api/users). Leads can only
+ * assign errors in projects they lead — an issue seen in other projects
+ * too needs a head.
+ */
+export async function PATCH(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, WRITE_ROLES, "assign errors");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return fail(400, "Malformed JSON body.");
+    }
+
+    const { target, error } = parseTarget(body);
+    if (error) return fail(400, error);
+    if (body.userId === undefined) {
+      return fail(400, "Invalid payload: userId is required (null unassigns).");
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    let assignee = null;
+    if (body.userId !== null) {
+      assignee = await findAssignee(client, body.userId);
+      if (!assignee) return fail(404, "User not found.");
+    }
+
+    const errors = db.collection(COLLECTIONS.errors);
+    const filter = targetErrorsFilter(target);
+    if (!(await errors.countDocuments(filter, { limit: 1 }))) {
+      return fail(404, target.errorId ? "Error not found." : "Issue not found.");
+    }
+    const scoped = await scopeWriteFilter(db, session, filter);
+    if (!scoped.filter) return fail(scoped.status, scoped.message);
+
+    const update = assignUpdate(assignee, session);
+    const result = await errors.updateMany(scoped.filter, update);
+    if (target.issueId) {
+      await db
+        .collection(COLLECTIONS.issues)
+        .updateOne({ _id: target.issueId }, update);
+    }
+
+    await writeAudit(db, {
+      action: "error.assign",
+      session,
+      target,
+      result: { assignee, modified: result.modifiedCount },
+    });
+
+    return Response.json(
+      {
+        success: true,
+        message: assignee
+          ? `Assigned ${result.modifiedCount} record(s) to ${assignee.name ?? assignee.id}.`
+          : `Unassigned ${result.modifiedCount} record(s).`,
+        assignee,
+        modified: result.modifiedCount,
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to assign.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -0,0 +1,112 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import { readAttachment } from "@/lib/tracker/attachments";
+import { COLLECTIONS, ERRORS_DB } from "@/lib/tracker/collections";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** RFC 6266 filename, ASCII fallback plus the UTF-8 original. */
+function contentDisposition(type, name) {
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/* ───────────────────── GET ───────────────────── */
+
+/**
+ *   ?id=<attachmentId>   – the file itself (images inline, others as download)
+ *   ?errorId=<errorId>   – metadata for every attachment of one occurrence
+ */
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read attachments");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get("id");
+    const errorId = searchParams.get("errorId");
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+
+    if (errorId) {
+      if (!ObjectId.isValid(errorId)) return fail(400, "Invalid ObjectId.");
+      const data = await db
+        .collection(COLLECTIONS.attachments)
+        .find({ errorId: new ObjectId(errorId) })
+        .sort({ createdAt: 1 })
+        .toArray();
+      return Response.json(
+        { success: true, count: data.length, data },
+        { headers: corsHeaders },
+      );
+    }
+
+    if (!id || !ObjectId.isValid(id)) {
+      return fail(400, "A valid id or errorId is required.");
+    }
+
+    const found = await readAttachment(db, new ObjectId(id));
+    if (!found) return fail(404, "Attachment not found.");
+
+    const { meta, data } = found;
+    const inline = meta.contentType.startsWith("image/");
+    return new Response(data, {
+      headers: {
+        ...corsHeaders,
+        "Content-Type": meta.contentType,
+        "Content-Length": String(data.length),
+        "Content-Disposition": contentDisposition(
+          inline ? "inline" : "attachment",
+          meta.name,
+        ),
+        // Content never changes for an id; don't let browsers sniff it
+        "Cache-Control": "private, max-age=86400, immutable",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (err) {
+    return errorResponse(err, "Failed to read attachment.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
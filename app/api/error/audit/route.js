@@ -0,0 +1,84 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, checkRole } from "@/lib/tracker/access";
+import { COLLECTIONS, ERRORS_DB } from "@/lib/tracker/collections";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── GET (head only) ───────────────────── */
+
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, ADMIN_ROLES, "read the audit trail");
+    if (forbidden) {
+      return Response.json(
+        { success: false, message: forbidden.message },
+        { status: forbidden.status, headers: corsHeaders },
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const action = searchParams.get("action");
+    const page = Math.max(
+      1,
+      parseInt(searchParams.get("page") || "1", 10) || 1,
+    );
+    const rawLimit = parseInt(searchParams.get("limit") || "50", 10);
+    const limit =
+      Number.isNaN(rawLimit) || rawLimit <= 0 ? 50 : Math.min(rawLimit, 200);
+
+    const query = action ? { action } : {};
+
+    const client = await clientPromise;
+    const collection = client.db(ERRORS_DB).collection(COLLECTIONS.audit);
+
+    const [data, total] = await Promise.all([
+      collection
+        .find(query)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(query),
+    ]);
+
+    return Response.json(
+      {
+        success: true,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        count: data.length,
+        data,
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    console.error("[pixpro] Failed to fetch audit trail", err);
+    return Response.json(
+      {
+        success: false,
+        message: "Failed to fetch audit trail.",
+        error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+      },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
@@ -0,0 +1,230 @@
+import clientPromise from "@/lib/mongodb";
+import { waitUntil } from "@vercel/functions";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { lookupIp, requestIp } from "@/lib/tracker/geo";
+import {
+  INLINE_JOBS,
+  buildEvent,
+  drainJobs,
+  queueEnrichments,
+} from "@/lib/tracker/ingest";
+import {
+  DROP_MESSAGES,
+  admitEvents,
+  retryAfterSeconds,
+} from "@/lib/tracker/limits";
+import {
+  INGEST_KEY_HEADER,
+  authorizeIngest,
+  readIngestKey,
+} from "@/lib/tracker/projects";
+import { compileScrubbing } from "@/lib/tracker/scrub";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": `Content-Type, ${INGEST_KEY_HEADER}`,
+  "Access-Control-Expose-Headers": "Retry-After",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+const MAX_BATCH_EVENTS = 500;
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/**
+ * Accepted bodies:
+ *   application/json     – [event, …] or { key?, projectId?, events: [...] }
+ *   application/x-ndjson – one event per line
+ *
+ * Returns { envelope, items } where a line that isn't valid JSON becomes
+ * a `{ malformed: true }` placeholder so it can be rejected on its own.
+ * Returns null when the body as a whole can't be read.
+ */
+async function readBatch(request) {
+  const type = request.headers.get("content-type") || "";
+
+  if (/ndjson|jsonl|jsonlines/.test(type)) {
+    const text = await request.text();
+    const items = text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return { malformed: true };
+        }
+      });
+    return { envelope: {}, items };
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return null;
+  }
+  if (Array.isArray(body)) return { envelope: {}, items: body };
+  if (Array.isArray(body?.events)) {
+    return { envelope: body, items: body.events };
+  }
+  return null;
+}
+
+/* ───────────────────── POST ───────────────────── */
+
+/**
+ * Many events in one request — for clients that queue errors while
+ * offline. Items are validated one by one; valid ones are stored with a
+ * single insertMany and enriched in the background like POST /api/error.
+ * Attachments are not accepted here.
+ */
+export async function POST(request) {
+  try {
+    const batch = await readBatch(request);
+    if (!batch) {
+      return fail(
+        400,
+        "Malformed body: expected a JSON array, { events: [...] } or NDJSON.",
+      );
+    }
+    const { envelope, items } = batch;
+    if (!items.length) return fail(400, "No events in batch.");
+    if (items.length > MAX_BATCH_EVENTS) {
+      return fail(
+        413,
+        `Too many events: at most ${MAX_BATCH_EVENTS} per batch.`,
+      );
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    // One key for the whole batch — header, ?key= or the envelope's `key`
+    const auth = await authorizeIngest(db, {
+      key: readIngestKey(request, envelope),
+      origin: request.headers.get("origin"),
+      projectId: envelope.projectId,
+    });
+    if (!auth.project) return fail(auth.status, auth.message);
+
+    const now = new Date();
+    const location = lookupIp(requestIp(request.headers));
+    const userAgent = request.headers.get("user-agent");
+    const scrubbing = compileScrubbing(auth.project.scrubbing);
+    const built = [];
+    const results = items.map((item, index) => {
+      if (item?.malformed) {
+        return { index, accepted: false, reason: "Malformed JSON line." };
+      }
+      const { event, reason } = buildEvent(item, {
+        projectId: auth.project.projectId,
+        location,
+        userAgent,
+        scrubbing,
+        now,
+      });
+      if (!event) return { index, accepted: false, reason };
+
+      built.push(event);
+      const result = { index, accepted: true, id: event._id };
+      if (item.screenshot || item.attachments) {
+        result.warning = "Attachments are not accepted in batches.";
+      }
+      return result;
+    });
+
+    // Sampling, quota and rate limits apply per event, as if each had been
+    // sent on its own
+    const { events, dropped } = await admitEvents(db, auth.project, built, {
+      now,
+    });
+    const dropReasons = new Map(dropped.map((d) => [d.event._id, d.reason]));
+    for (const result of results) {
+      const dropReason = result.accepted && dropReasons.get(result.id);
+      if (!dropReason) continue;
+      result.accepted = false;
+      result.reason = DROP_MESSAGES[dropReason];
+      result.dropped = dropReason;
+      delete result.id;
+      delete result.warning;
+    }
+
+    if (events.length) {
+      await db
+        .collection(COLLECTIONS.errors)
+        .insertMany(events, { ordered: false });
+      await queueEnrichments(db, events.map((e) => e._id));
+      if (INLINE_JOBS) waitUntil(drainJobs(db));
+    }
+
+    const accepted = events.length;
+    // Nothing stored because of limits → 429 so the client backs off
+    const limited = dropped.filter((d) => d.reason !== "sampled");
+    const retryAfter = Math.max(
+      0,
+      ...limited.map((d) => retryAfterSeconds(d.reason, now)),
+    );
+    let status = 400;
+    if (accepted > 0 || (dropped.length > 0 && !limited.length)) status = 202;
+    else if (limited.length) status = 429;
+
+    return Response.json(
+      {
+        success: accepted > 0,
+        message: `Accepted ${accepted} of ${items.length} event(s).`,
+        accepted,
+        rejected: items.length - accepted - dropped.length,
+        dropped: dropped.length,
+        results,
+      },
+      {
+        status,
+        headers:
+          status === 429
+            ? { ...corsHeaders, "Retry-After": String(retryAfter) }
+            : corsHeaders,
+      },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to log batch.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
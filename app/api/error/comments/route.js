@@ -0,0 +1,245 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { normalizeCommentBody, parseTarget } from "@/lib/tracker/triage";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+const MAX_THREAD = 500;
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Everyone who can read errors can discuss them. Returns
+ * { session, db } or { response }.
+ */
+async function requireReader(action) {
+  const session = await getSession();
+  const forbidden = checkRole(session, READ_ROLES, action);
+  if (forbidden) return { response: fail(forbidden.status, forbidden.message) };
+
+  const client = await clientPromise;
+  const db = client.db(ERRORS_DB);
+  await ensureIndexes(db);
+  return { session, db };
+}
+
+/**
+ * Comment `id` if `session` wrote it; with `headMay`, heads may act on
+ * anyone's. Returns { comment } or { response }.
+ */
+async function findOwnComment(db, session, id, { headMay = false } = {}) {
+  if (!ObjectId.isValid(id)) return { response: fail(400, "Invalid ObjectId.") };
+  const comment = await db
+    .collection(COLLECTIONS.comments)
+    .findOne({ _id: new ObjectId(id) });
+  if (!comment) return { response: fail(404, "Comment not found.") };
+  const own = comment.author?.id === session.id;
+  if (!own && !(headMay && session.role === "head")) {
+    return { response: fail(403, "Only the author can change this comment.") };
+  }
+  return { comment };
+}
+
+/* ───────────────────── GET (thread) ───────────────────── */
+
+/**
+ *   ?errorId=<id>   – comments on one occurrence
+ *   ?issueId=<id>   – comments on an issue
+ *
+ * Oldest first.
+ */
+export async function GET(request) {
+  try {
+    const { db, response } = await requireReader("read comments");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const { target, error } = parseTarget({
+      errorId: searchParams.get("errorId"),
+      issueId: searchParams.get("issueId"),
+    });
+    if (error) return fail(400, error);
+
+    const comments = await db
+      .collection(COLLECTIONS.comments)
+      .find(target)
+      .sort({ createdAt: 1 })
+      .limit(MAX_THREAD)
+      .toArray();
+
+    return Response.json(
+      { success: true, data: comments },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to fetch comments.");
+  }
+}
+
+/* ───────────────────── POST (add) ───────────────────── */
+
+/** { errorId | issueId, body } */
+export async function POST(request) {
+  try {
+    const { session, db, response } = await requireReader("comment");
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+    const { target, error } = parseTarget(body);
+    if (error) return fail(400, error);
+    const { text, error: bodyError } = normalizeCommentBody(body.body);
+    if (bodyError) return fail(400, bodyError);
+
+    let projectId = null;
+    if (target.errorId) {
+      const event = await db
+        .collection(COLLECTIONS.errors)
+        .findOne({ _id: target.errorId }, { projection: { projectId: 1 } });
+      if (!event) return fail(404, "Error not found.");
+      projectId = event.projectId ?? null;
+    } else if (
+      !(await db.collection(COLLECTIONS.issues).findOne({ _id: target.issueId }))
+    ) {
+      return fail(404, "Issue not found.");
+    }
+
+    const now = new Date();
+    const doc = {
+      _id: new ObjectId(),
+      ...target,
+      projectId,
+      body: text,
+      author: { id: session.id, name: session.name ?? null },
+      createdAt: now,
+      editedAt: null,
+    };
+    await db.collection(COLLECTIONS.comments).insertOne(doc);
+
+    return Response.json(
+      { success: true, data: doc },
+      { status: 201, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to add comment.");
+  }
+}
+
+/* ───────────────────── PATCH (edit) ───────────────────── */
+
+/** { id, body } — authors edit their own comments. */
+export async function PATCH(request) {
+  try {
+    const { session, db, response } = await requireReader("comment");
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+    const found = await findOwnComment(db, session, body.id);
+    if (found.response) return found.response;
+    const { text, error } = normalizeCommentBody(body.body);
+    if (error) return fail(400, error);
+
+    const updated = await db
+      .collection(COLLECTIONS.comments)
+      .findOneAndUpdate(
+        { _id: found.comment._id },
+        { $set: { body: text, editedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+    return Response.json(
+      { success: true, data: updated },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to edit comment.");
+  }
+}
+
+/* ───────────────────── DELETE ───────────────────── */
+
+/** ?id=<commentId> — the author, or a head for moderation. */
+export async function DELETE(request) {
+  try {
+    const { session, db, response } = await requireReader("comment");
+    if (response) return response;
+
+    const id = new URL(request.url).searchParams.get("id");
+    const found = await findOwnComment(db, session, id, { headMay: true });
+    if (found.response) return found.response;
+    const { comment } = found;
+
+    await db.collection(COLLECTIONS.comments).deleteOne({ _id: comment._id });
+    await writeAudit(db, {
+      action: "comment.delete",
+      session,
+      target: {
+        commentId: comment._id,
+        errorId: comment.errorId ?? null,
+        issueId: comment.issueId ?? null,
+        author: comment.author,
+      },
+      result: { deleted: 1 },
+    });
+
+    return Response.json(
+      { success: true, message: "Comment deleted." },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to delete comment.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -1,5 +1,15 @@
 import ExcelJS from "exceljs";
 import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import {
+    COLLECTIONS,
+    ERRORS_DB,
+    ensureIndexes,
+} from "@/lib/tracker/collections";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import { DEFAULT_STATUS } from "@/lib/tracker/status";
+import { buildErrorQuery } from "@/lib/tracker/query";
+import { compileScrubbing, scrubEvent } from "@/lib/tracker/scrub";
 
 /* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
 
@@ -28,6 +38,27 @@ function flattenMappedStack(mappedStack) {
         .join("\n");
 }
 
+/**
+ * Compiled scrubbing rules per projectId. New events are scrubbed at
+ * ingest; applying the current rules again here covers documents stored
+ * before a rule was added.
+ */
+async function loadScrubbing(db, projectIds) {
+    const projects = await db
+        .collection(COLLECTIONS.projects)
+        .find({ projectId: { $in: projectIds } })
+        .project({ projectId: 1, scrubbing: 1 })
+        .toArray();
+    const rules = new Map(
+        projects.map((p) => [p.projectId, compileScrubbing(p.scrubbing)]),
+    );
+    // Unknown projects (deleted since) still get the defaults
+    for (const id of projectIds) {
+        if (!rules.has(id)) rules.set(id, compileScrubbing(null));
+    }
+    return rules;
+}
+
 function safe(val) {
     if (val == null) return "";
     if (typeof val === "object") {
@@ -44,24 +75,32 @@ function safe(val) {
 
 export async function GET(request) {
     try {
+        const session = await getSession();
+        const forbidden = checkRole(session, READ_ROLES, "export errors");
+        if (forbidden) {
+            return Response.json(
+                { success: false, message: forbidden.message },
+                { status: forbidden.status, headers: corsHeaders },
+            );
+        }
+
         const { searchParams } = new URL(request.url);
         const projectId = searchParams.get("projectId");
 
-
-        const from = searchParams.get("from");
-        const query = {};
-        if (projectId) query.projectId = projectId;
-        if (from) {
-            const d = new Date(from);
-            if (!isNaN(d)) query.timestamp = { $gte: d };
+        // projectId / status / release / environment / from / to
+        const { query, error } = buildErrorQuery(searchParams, session);
+        if (error) {
+            return Response.json(
+                { success: false, message: error },
+                { status: 400, headers: corsHeaders },
+            );
         }
 
-
-
         const client = await clientPromise;
-        const collection = client.db("errors").collection("pixpro");
-
-
+        const db = client.db(ERRORS_DB);
+        // Free-text search needs the text index
+        await ensureIndexes(db);
+        const collection = db.collection(COLLECTIONS.errors);
 
         // Screenshots excluded — keeps the export light
         const errors = await collection
@@ -70,6 +109,10 @@ export async function GET(request) {
             .project({ screenshot: 0 })
             .toArray();
 
+        const scrubbing = await loadScrubbing(db, [
+            ...new Set(errors.map((e) => e.projectId)),
+        ]);
+
         /* ── Build workbook ── */
         const workbook = new ExcelJS.Workbook();
         workbook.creator = "pixpro-error-tracker";
@@ -82,9 +125,14 @@ export async function GET(request) {
         sheet.columns = [
             { header: "ID", key: "id", width: 26 },
             { header: "Project ID", key: "projectId", width: 18 },
+            { header: "Release", key: "release", width: 18 },
+            { header: "Environment", key: "environment", width: 14 },
             { header: "Error Name", key: "name", width: 18 },
             { header: "Message", key: "message", width: 45 },
             { header: "Timestamp", key: "timestamp", width: 22 },
+            { header: "Status", key: "status", width: 14 },
+            { header: "Status Changed By", key: "statusChangedBy", width: 20 },
+            { header: "Status Changed At", key: "statusChangedAt", width: 22 },
             { header: "City", key: "city", width: 16 },
             { header: "State", key: "state", width: 16 },
             { header: "Country", key: "country", width: 16 },
@@ -106,13 +154,19 @@ export async function GET(request) {
         };
         headerRow.alignment = { vertical: "middle" };
 
-        for (const doc of errors) {
+        for (const raw of errors) {
+            const doc = scrubEvent(raw, scrubbing.get(raw.projectId));
             sheet.addRow({
                 id: doc._id?.toString() ?? "",
                 projectId: doc.projectId ?? "",
+                release: doc.release ?? "",
+                environment: doc.environment ?? "",
                 name: doc.error?.name ?? "",
                 message: doc.error?.message ?? "",
                 timestamp: doc.timestamp ? new Date(doc.timestamp) : "",
+                status: doc.status ?? DEFAULT_STATUS,
+                statusChangedBy: doc.statusChangedBy?.name ?? doc.statusChangedBy?.id ?? "",
+                statusChangedAt: doc.statusChangedAt ? new Date(doc.statusChangedAt) : "",
                 city: doc.city ?? "",
                 state: doc.state ?? "",
                 country: doc.country ?? "",
@@ -134,6 +188,7 @@ export async function GET(request) {
 
         // Date format
         sheet.getColumn("timestamp").numFmt = "yyyy-mm-dd hh:mm:ss";
+        sheet.getColumn("statusChangedAt").numFmt = "yyyy-mm-dd hh:mm:ss";
 
         const buffer = await workbook.xlsx.writeBuffer();
 
@@ -0,0 +1,149 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+const SORTS = {
+  lastSeen: { lastSeen: -1 },
+  firstSeen: { firstSeen: -1 },
+  count: { count: -1, lastSeen: -1 },
+};
+
+/* ───────────────────── GET ───────────────────── */
+
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read issues");
+    if (forbidden) {
+      return Response.json(
+        { success: false, message: forbidden.message },
+        { status: forbidden.status, headers: corsHeaders },
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get("id");
+    const projectId = searchParams.get("projectId");
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+    const issues = db.collection(COLLECTIONS.issues);
+    const errors = db.collection(COLLECTIONS.errors);
+
+    /* ── Single issue + its most recent occurrences ── */
+    if (id) {
+      if (!ObjectId.isValid(id)) {
+        return Response.json(
+          { success: false, message: "Invalid ObjectId." },
+          { status: 400, headers: corsHeaders },
+        );
+      }
+
+      const issue = await issues.findOne({ _id: new ObjectId(id) });
+      if (!issue) {
+        return Response.json(
+          { success: false, message: "Issue not found." },
+          { status: 404, headers: corsHeaders },
+        );
+      }
+
+      const match = { issueId: issue._id };
+      if (projectId) match.projectId = projectId;
+
+      const [occurrences, projectCounts] = await Promise.all([
+        errors
+          .find(match)
+          .sort({ timestamp: -1 })
+          .limit(20)
+          .project({ screenshot: 0 })
+          .toArray(),
+        errors
+          .aggregate([
+            { $match: { issueId: issue._id } },
+            {
+              $group: {
+                _id: "$projectId",
+                count: { $sum: 1 },
+                lastSeen: { $max: "$timestamp" },
+              },
+            },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, projectId: "$_id", count: 1, lastSeen: 1 } },
+          ])
+          .toArray(),
+      ]);
+
+      return Response.json(
+        { success: true, data: { ...issue, projectCounts, occurrences } },
+        { headers: corsHeaders },
+      );
+    }
+
+    /* ── Paginated issue list ── */
+    const page = Math.max(
+      1,
+      parseInt(searchParams.get("page") || "1", 10) || 1,
+    );
+    const rawLimit = parseInt(searchParams.get("limit") || "20", 10);
+    const limit =
+      Number.isNaN(rawLimit) || rawLimit <= 0 ? 20 : Math.min(rawLimit, 200);
+    const skip = (page - 1) * limit;
+    const sort = SORTS[searchParams.get("sort")] ?? SORTS.lastSeen;
+
+    // "projects" is an array, so this matches issues that touched the project
+    const query = projectId ? { projects: projectId } : {};
+
+    const [data, total] = await Promise.all([
+      issues.find(query).sort(sort).skip(skip).limit(limit).toArray(),
+      issues.countDocuments(query),
+    ]);
+
+    return Response.json(
+      {
+        success: true,
+        filtered: Boolean(projectId),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        count: data.length,
+        data,
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    console.error("[pixpro] Failed to fetch issues", err);
+    return Response.json(
+      {
+        success: false,
+        message: "Failed to fetch issues.",
+        error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+      },
+      { status: 500, headers: corsHeaders },
+    );
+  }
+}
@@ -0,0 +1,190 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, checkRole } from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import { COLLECTIONS, ERRORS_DB } from "@/lib/tracker/collections";
+import { JOB_STATUSES, retryJobs } from "@/lib/tracker/jobs";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PATCH, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** The queue is an operational concern — `head` users only. */
+async function requireHead(action) {
+  const session = await getSession();
+  const forbidden = checkRole(session, ADMIN_ROLES, action);
+  if (forbidden) return { response: fail(forbidden.status, forbidden.message) };
+  return { session };
+}
+
+/* ───────────────────── GET (queue state, dead letters) ───────────────────── */
+
+/**
+ *   ?status=dead     – filter by pending | running | done | dead
+ *   ?type=enrich     – filter by job type
+ *   ?page / ?limit   – pagination (default 20, max 200)
+ *
+ * Always includes per-status counts so the queue depth is visible at a
+ * glance.
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireHead("read the job queue");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get("status");
+    const type = searchParams.get("type");
+    if (status && !JOB_STATUSES.includes(status)) {
+      return fail(
+        400,
+        `Invalid status. Expected one of: ${JOB_STATUSES.join(", ")}.`,
+      );
+    }
+
+    const page = Math.max(
+      1,
+      parseInt(searchParams.get("page") || "1", 10) || 1,
+    );
+    const rawLimit = parseInt(searchParams.get("limit") || "20", 10);
+    const limit =
+      Number.isNaN(rawLimit) || rawLimit <= 0 ? 20 : Math.min(rawLimit, 200);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const client = await clientPromise;
+    const jobs = client.db(ERRORS_DB).collection(COLLECTIONS.jobs);
+
+    const [data, total, byStatus] = await Promise.all([
+      jobs
+        .find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      jobs.countDocuments(query),
+      jobs
+        .aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+        .toArray(),
+    ]);
+
+    const counts = Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]));
+    for (const row of byStatus) counts[row._id] = row.count;
+
+    return Response.json(
+      {
+        success: true,
+        counts,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        count: data.length,
+        data,
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to fetch jobs.");
+  }
+}
+
+/* ───────────────────── PATCH (retry) ───────────────────── */
+
+/**
+ * { action: "retry", id }        – one job
+ * { action: "retry", ids: [] }   – several jobs
+ * { action: "retry", all: true } – every dead job
+ */
+export async function PATCH(request) {
+  try {
+    const { session, response } = await requireHead("retry jobs");
+    if (response) return response;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return fail(400, "Malformed JSON body.");
+    }
+    if (body?.action !== "retry") {
+      return fail(400, 'Invalid payload: action must be "retry".');
+    }
+
+    let filter;
+    if (body.all === true) {
+      filter = { status: "dead" };
+    } else {
+      const ids = body.id ? [body.id] : body.ids;
+      if (!Array.isArray(ids) || !ids.length) {
+        return fail(400, "Invalid payload: id, ids or all is required.");
+      }
+      if (!ids.every((id) => ObjectId.isValid(id))) {
+        return fail(400, "Invalid ObjectId.");
+      }
+      filter = { _id: { $in: ids.map((id) => new ObjectId(id)) } };
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    const retried = await retryJobs(db, filter);
+
+    await writeAudit(db, {
+      action: "job.retry",
+      session,
+      target: body.all === true ? { all: true } : { ids: filter._id.$in },
+      result: { retried },
+    });
+
+    return Response.json(
+      {
+        success: true,
+        message: `Queued ${retried} job(s) for retry.`,
+        retried,
+      },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to retry jobs.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
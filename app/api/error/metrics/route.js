@@ -0,0 +1,66 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, checkRole } from "@/lib/tracker/access";
+import { ERRORS_DB } from "@/lib/tracker/collections";
+import { listWorkerMetrics, processMetrics } from "@/lib/tracker/metrics";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── GET (head only) ───────────────────── */
+
+/**
+ * In-process metrics for the instance that serves the request — counters
+ * reset on cold start and are not shared between serverless instances —
+ * plus the latest snapshot each running worker reported (`workers`).
+ */
+export async function GET() {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, ADMIN_ROLES, "read metrics");
+    if (forbidden) {
+      return Response.json(
+        { success: false, message: forbidden.message },
+        { status: forbidden.status, headers: corsHeaders },
+      );
+    }
+
+    const client = await clientPromise;
+    const workers = await listWorkerMetrics(client.db(ERRORS_DB));
+
+    return Response.json(
+      { success: true, ...processMetrics(), workers },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to read metrics.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -0,0 +1,325 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, checkRole } from "@/lib/tracker/access";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import {
+  findProject,
+  isKeyActive,
+  newKey,
+  newUploadToken,
+  normalizeOrigins,
+  publicProject,
+} from "@/lib/tracker/projects";
+import { normalizeLimits } from "@/lib/tracker/limits";
+import { normalizeRetention } from "@/lib/tracker/retention";
+import { normalizeScrubbing } from "@/lib/tracker/scrub";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** Project settings and ingest keys are managed by `head` users only. */
+async function requireHead() {
+  const session = await getSession();
+  const forbidden = checkRole(session, ADMIN_ROLES, "manage projects");
+  if (forbidden) return { response: fail(forbidden.status, forbidden.message) };
+  return { session };
+}
+
+/** Lead user ids as strings (the shape getSession() returns). */
+function normalizeLeads(leads) {
+  if (!Array.isArray(leads)) return null;
+  if (!leads.every((id) => ObjectId.isValid(id))) return null;
+  return [...new Set(leads.map(String))];
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+async function projectsCollection() {
+  const client = await clientPromise;
+  const db = client.db(ERRORS_DB);
+  await ensureIndexes(db);
+  return { db, projects: db.collection(COLLECTIONS.projects) };
+}
+
+/* ───────────────────── GET ───────────────────── */
+
+export async function GET(request) {
+  try {
+    const { response } = await requireHead();
+    if (response) return response;
+
+    const projectId = new URL(request.url).searchParams.get("projectId");
+    const { db, projects } = await projectsCollection();
+
+    if (projectId) {
+      const project = await findProject(db, projectId);
+      if (!project) return fail(404, "Project not found.");
+      return Response.json(
+        { success: true, data: publicProject(project) },
+        { headers: corsHeaders },
+      );
+    }
+
+    const data = await projects.find({}).sort({ projectId: 1 }).toArray();
+    return Response.json(
+      { success: true, count: data.length, data: data.map(publicProject) },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to fetch projects.");
+  }
+}
+
+/* ───────────────────── POST (create project + first key) ───────────────────── */
+
+export async function POST(request) {
+  try {
+    const { session, response } = await requireHead();
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+    if (!body.projectId || typeof body.projectId !== "string") {
+      return fail(400, "Invalid payload: projectId is required.");
+    }
+
+    const allowedOrigins = normalizeOrigins(body.allowedOrigins ?? []);
+    if (!allowedOrigins) {
+      return fail(400, "Invalid allowedOrigins: expected an array of origins.");
+    }
+
+    const leads = normalizeLeads(body.leads ?? []);
+    if (!leads) return fail(400, "Invalid leads: expected an array of user ids.");
+
+    const { scrubbing, error: scrubbingError } = normalizeScrubbing(
+      body.scrubbing ?? {},
+    );
+    if (scrubbingError) return fail(400, scrubbingError);
+
+    const { limits, error: limitsError } = normalizeLimits(body.limits ?? {});
+    if (limitsError) return fail(400, limitsError);
+
+    const { retention, error: retentionError } = normalizeRetention(
+      body.retention ?? {},
+    );
+    if (retentionError) return fail(400, retentionError);
+
+    const { db, projects } = await projectsCollection();
+    if (await findProject(db, body.projectId)) {
+      return fail(409, "Project already exists.");
+    }
+
+    const now = new Date();
+    const doc = {
+      projectId: body.projectId,
+      name: body.name || body.projectId,
+      allowedOrigins,
+      leads,
+      scrubbing,
+      limits,
+      retention,
+      keys: [newKey(session, body.label ?? null)],
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await projects.insertOne(doc);
+
+    return Response.json(
+      { success: true, data: { _id: insertedId, ...doc } },
+      { status: 201, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to create project.");
+  }
+}
+
+/* ───────────────────── PATCH (settings, rotate, revoke) ───────────────────── */
+
+/**
+ * { projectId, name?, allowedOrigins?, leads?,
+ *   scrubbing?, limits?, retention? }               → update settings; a
+ *                                                     partial `scrubbing`,
+ *                                                     `limits` or `retention`
+ *                                                     is merged over the
+ *                                                     defaults
+ * { projectId, action: "createKey", label? }        → add another key
+ * { projectId, action: "rotateKey", graceHours? }   → new key; old ones expire
+ *                                                     now or after the grace
+ * { projectId, action: "revokeKey", publicKey }     → revoke one key now
+ * { projectId, action: "createUploadToken", label? } → secret for build
+ *                                                     uploads, shown once
+ * { projectId, action: "revokeUploadToken", tokenId }
+ */
+export async function PATCH(request) {
+  try {
+    const { session, response } = await requireHead();
+    if (response) return response;
+
+    const body = await readJson(request);
+    if (!body) return fail(400, "Malformed JSON body.");
+    if (!body.projectId) {
+      return fail(400, "Invalid payload: projectId is required.");
+    }
+
+    const { db, projects } = await projectsCollection();
+    const project = await findProject(db, body.projectId);
+    if (!project) return fail(404, "Project not found.");
+
+    const now = new Date();
+    const set = { updatedAt: now };
+    let keys = project.keys ?? [];
+    let uploadTokens = project.uploadTokens ?? [];
+    let uploadToken;
+
+    if (body.name !== undefined) set.name = String(body.name);
+    if (body.allowedOrigins !== undefined) {
+      const allowedOrigins = normalizeOrigins(body.allowedOrigins);
+      if (!allowedOrigins) {
+        return fail(400, "Invalid allowedOrigins: expected an array of origins.");
+      }
+      set.allowedOrigins = allowedOrigins;
+    }
+    if (body.leads !== undefined) {
+      const leads = normalizeLeads(body.leads);
+      if (!leads) {
+        return fail(400, "Invalid leads: expected an array of user ids.");
+      }
+      set.leads = leads;
+    }
+    if (body.scrubbing !== undefined) {
+      const { scrubbing, error } = normalizeScrubbing(
+        body.scrubbing,
+        project.scrubbing,
+      );
+      if (error) return fail(400, error);
+      set.scrubbing = scrubbing;
+    }
+    if (body.limits !== undefined) {
+      const { limits, error } = normalizeLimits(body.limits, project.limits);
+      if (error) return fail(400, error);
+      set.limits = limits;
+    }
+    if (body.retention !== undefined) {
+      const { retention, error } = normalizeRetention(
+        body.retention,
+        project.retention,
+      );
+      if (error) return fail(400, error);
+      set.retention = retention;
+    }
+
+    switch (body.action) {
+      case undefined:
+        break;
+      case "createKey":
+        keys = [...keys, newKey(session, body.label ?? null)];
+        break;
+      case "rotateKey": {
+        const graceHours = Math.max(0, Number(body.graceHours) || 0);
+        const expiresAt = new Date(now.getTime() + graceHours * 36e5);
+        keys = [
+          ...keys.map((k) =>
+            isKeyActive(k, now)
+              ? graceHours
+                ? { ...k, expiresAt }
+                : { ...k, revokedAt: now }
+              : k,
+          ),
+          newKey(session, body.label ?? null),
+        ];
+        break;
+      }
+      case "revokeKey": {
+        if (!keys.some((k) => k.publicKey === body.publicKey)) {
+          return fail(404, "Key not found.");
+        }
+        keys = keys.map((k) =>
+          k.publicKey === body.publicKey && !k.revokedAt
+            ? { ...k, revokedAt: now }
+            : k,
+        );
+        break;
+      }
+      case "createUploadToken": {
+        const created = newUploadToken(session, body.label ?? null);
+        uploadToken = created.token;
+        uploadTokens = [...uploadTokens, created.entry];
+        break;
+      }
+      case "revokeUploadToken": {
+        if (!uploadTokens.some((t) => t.id === body.tokenId)) {
+          return fail(404, "Upload token not found.");
+        }
+        uploadTokens = uploadTokens.map((t) =>
+          t.id === body.tokenId && !t.revokedAt ? { ...t, revokedAt: now } : t,
+        );
+        break;
+      }
+      default:
+        return fail(400, `Unknown action: ${body.action}.`);
+    }
+    set.keys = keys;
+    set.uploadTokens = uploadTokens;
+
+    const updated = await projects.findOneAndUpdate(
+      { _id: project._id },
+      { $set: set },
+      { returnDocument: "after" },
+    );
+
+    return Response.json(
+      { success: true, data: publicProject(updated), uploadToken },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to update project.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
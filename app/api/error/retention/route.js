@@ -0,0 +1,195 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { waitUntil } from "@vercel/functions";
+import { getSession } from "@/lib/auth";
+import { ADMIN_ROLES, checkRole } from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { INLINE_JOBS } from "@/lib/tracker/ingest";
+import { runJobs } from "@/lib/tracker/jobs";
+import {
+  RETENTION_HANDLERS,
+  RETENTION_JOB,
+  previewRetention,
+  readArchive,
+  scheduleRetention,
+} from "@/lib/tracker/retention";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** Retention deletes data for good — `head` users only. */
+async function requireHead(action) {
+  const session = await getSession();
+  const forbidden = checkRole(session, ADMIN_ROLES, action);
+  if (forbidden) return { response: fail(forbidden.status, forbidden.message) };
+  return { session };
+}
+
+async function findProjects(db, projectId) {
+  const query = projectId ? { projectId } : {};
+  return db
+    .collection(COLLECTIONS.projects)
+    .find(query, { projection: { projectId: 1, retention: 1 } })
+    .sort({ projectId: 1 })
+    .toArray();
+}
+
+/* ───────────────────── GET (policies, preview, archives) ───────────────────── */
+
+/**
+ *   ?archiveId=<id>    – download one archive (.ndjson.gz)
+ *   ?projectId=<id>    – narrow everything below to one project
+ *   otherwise          – each project's policy with how much a purge would
+ *                        remove right now, plus the latest 100 archives
+ */
+export async function GET(request) {
+  try {
+    const { response } = await requireHead("read retention settings");
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const archiveId = searchParams.get("archiveId");
+    const projectId = searchParams.get("projectId");
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+
+    if (archiveId) {
+      if (!ObjectId.isValid(archiveId)) return fail(400, "Invalid ObjectId.");
+      const found = await readArchive(db, new ObjectId(archiveId));
+      if (!found) return fail(404, "Archive not found.");
+
+      const filename = found.meta.name.replace(/\//g, "_");
+      return new Response(found.data, {
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "application/gzip",
+          "Content-Length": String(found.data.length),
+          "Content-Disposition": `attachment; filename="${filename}"`,
+        },
+      });
+    }
+
+    const projects = await findProjects(db, projectId);
+    const [policies, archives, job] = await Promise.all([
+      Promise.all(projects.map((p) => previewRetention(db, p))),
+      db
+        .collection(COLLECTIONS.archives)
+        .find(projectId ? { projectId } : {})
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .toArray(),
+      db.collection(COLLECTIONS.jobs).findOne(
+        { type: RETENTION_JOB, status: { $in: ["pending", "running"] } },
+        { projection: { status: 1, runAt: 1 } },
+      ),
+    ]);
+
+    return Response.json(
+      { success: true, policies, archives, nextRun: job },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to fetch retention state.");
+  }
+}
+
+/* ───────────────────── POST (run now) ───────────────────── */
+
+/**
+ * Queue a retention pass to run as soon as a worker is free, instead of
+ * waiting for the next scheduled one — and, unless inline jobs are off,
+ * run it after responding, for deployments without the worker. Policies
+ * themselves are set on the project (PATCH /api/error/projects
+ * { retention }).
+ */
+export async function POST() {
+  try {
+    const { session, response } = await requireHead("run retention");
+    if (response) return response;
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    const now = new Date();
+    const job = await scheduleRetention(db, { runAt: now });
+    // Already queued for later — bring it forward
+    if (job.status === "pending" && job.runAt > now) {
+      await db.collection(COLLECTIONS.jobs).updateOne(
+        { _id: job._id, status: "pending" },
+        { $set: { runAt: now, updatedAt: now } },
+      );
+    }
+
+    if (INLINE_JOBS) {
+      waitUntil(
+        runJobs(db, {
+          handlers: RETENTION_HANDLERS,
+          workerId: "inline",
+          limit: 1,
+        }).catch((err) => console.error("[pixpro] Retention failed", err)),
+      );
+    }
+
+    await writeAudit(db, {
+      action: "retention.run",
+      session,
+      target: null,
+      result: { jobId: job._id },
+    });
+
+    return Response.json(
+      {
+        success: true,
+        message: "Retention pass queued.",
+        jobId: job._id,
+      },
+      { status: 202, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to queue retention.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
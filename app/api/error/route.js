@@ -1,6 +1,57 @@
-import { SourceMapConsumer } from "source-map-js";
 import clientPromise from "@/lib/mongodb";
 import { ObjectId } from "mongodb";
+import { waitUntil } from "@vercel/functions";
+import { getSession } from "@/lib/auth";
+import {
+  deleteAttachments,
+  readAttachments,
+  storeAttachments,
+} from "@/lib/tracker/attachments";
+import { lookupIp, requestIp } from "@/lib/tracker/geo";
+import {
+  INLINE_JOBS,
+  buildEvent,
+  drainJobs,
+  queueEnrichment,
+} from "@/lib/tracker/ingest";
+import {
+  ADMIN_ROLES,
+  READ_ROLES,
+  WRITE_ROLES,
+  checkRole,
+  scopeWriteFilter,
+} from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  INGEST_KEY_HEADER,
+  authorizeIngest,
+  readIngestKey,
+} from "@/lib/tracker/projects";
+import {
+  SETTABLE_STATUSES,
+  isSettableStatus,
+  statusUpdate,
+} from "@/lib/tracker/status";
+import {
+  DROP_MESSAGES,
+  admitEvents,
+  retryAfterSeconds,
+} from "@/lib/tracker/limits";
+import {
+  LIST_SORT,
+  afterCursor,
+  approximateTotal,
+  buildErrorQuery,
+  decodeCursor,
+  encodeCursor,
+} from "@/lib/tracker/query";
+import { compileScrubbing } from "@/lib/tracker/scrub";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { deleteComments } from "@/lib/tracker/triage";
 
 /* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
 
@@ -11,8 +62,9 @@ export const dynamic = "force-dynamic";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS, DELETE",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS, DELETE",
+  "Access-Control-Allow-Headers": `Content-Type, ${INGEST_KEY_HEADER}`,
+  "Access-Control-Expose-Headers": "Retry-After",
 };
 
 /* ───────────────────── OPTIONS ───────────────────── */
@@ -24,277 +76,60 @@ export async function OPTIONS() {
 /* ───────────────────── Helpers ───────────────────── */
 
 /**
- * Fetch with an AbortController timeout (default 5 s).
- * Returns null instead of throwing on network/timeout errors.
+ * Events arrive as JSON, or as multipart/form-data with the event JSON in
+ * an "event" field next to "screenshot" / "attachment" files.
+ * Returns { body, form }; body is null when it can't be parsed.
  */
-async function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    return res;
-  } catch {
-    return null; // timeout or network failure — caller decides what to do
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-/**
- * Reconstruct a minimal Error from a raw stack string so that
- * stacktrace-js can parse the frames without choking.
- */
-function errorFromString(stackString = "") {
-  const lines = stackString.split("\n");
-  const firstLine = lines[0] ?? "Error";
-
-  let name = "Error";
-  let message = firstLine;
-
-  const colon = firstLine.indexOf(":");
-  if (colon !== -1) {
-    name = firstLine.slice(0, colon).trim() || "Error";
-    message = firstLine.slice(colon + 1).trim();
+async function readIngestBody(request) {
+  const type = request.headers.get("content-type") || "";
+  if (!type.startsWith("multipart/form-data")) {
+    try {
+      return { body: await request.json(), form: null };
+    } catch {
+      return { body: null, form: null };
+    }
   }
 
-  const err = new Error(message);
-  err.name = name;
-  // Preserve every line so frame parsers see at-frames
-  err.stack = lines.join("\n");
-  return err;
-}
-
-/**
- * Return ±5 lines of context around `line` from a remote source file.
- * Returns null when the file can't be fetched.
- */
-async function fetchSnippet(url, line) {
+  let form;
   try {
-    const res = await fetchWithTimeout(url, { cache: "no-store" });
-    if (!res?.ok) return null;
-
-    const text = await res.text();
-    const allLines = text.split("\n");
-
-    const ctx = 5;
-    const start = Math.max(0, line - ctx - 1);
-    const end = Math.min(allLines.length, line + ctx);
-
-    return allLines
-      .slice(start, end)
-      .map((l, idx) => {
-        const ln = start + idx + 1;
-        return ln === line
-          ? `>> ${ln.toString().padStart(4)} | ${l}`
-          : `   ${ln.toString().padStart(4)} | ${l}`;
-      })
-      .join("\n");
+    form = await request.formData();
   } catch {
-    return null;
+    return { body: null, form: null };
   }
-}
-
-/* ───────────────────── Stack-trace parser (no stacktrace-js) ───────────────────── */
-
-/**
- * Parse V8/Firefox stack frames without relying on stacktrace-js,
- * which can throw when the Error object's stack is non-standard.
- *
- * Returns: Array<{ functionName, fileName, lineNumber, columnNumber }>
- */
-function parseFrames(stackString) {
-  const frames = [];
-  for (const raw of stackString.split("\n")) {
-    const line = raw.trim();
-
-    // V8:  "  at FnName (https://…/file.js:10:5)"
-    // V8:  "  at https://…/file.js:10:5"
-    const v8 = line.match(/^at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?$/);
-    if (v8) {
-      frames.push({
-        functionName: v8[1] ?? "<anonymous>",
-        fileName: v8[2],
-        lineNumber: parseInt(v8[3], 10),
-        columnNumber: parseInt(v8[4], 10),
-      });
-      continue;
-    }
-
-    // Firefox/Safari:  "fnName@https://…/file.js:10:5"
-    const ff = line.match(/^(.*)@(.+):(\d+):(\d+)$/);
-    if (ff) {
-      frames.push({
-        functionName: ff[1] || "<anonymous>",
-        fileName: ff[2],
-        lineNumber: parseInt(ff[3], 10),
-        columnNumber: parseInt(ff[4], 10),
-      });
-    }
-  }
-  return frames;
-}
-
-/* ───────────────────── Source Map Resolver ───────────────────── */
-
-async function mapStackTrace(minifiedStack) {
-  if (!minifiedStack) return [];
-
-  // Gracefully parse frames; never let this throw up to the caller.
-  let frames;
   try {
-    frames = parseFrames(minifiedStack);
+    const event = form.get("event");
+    const body = typeof event === "string" ? JSON.parse(event) : null;
+    return { body, form };
   } catch {
-    return [];
-  }
-
-  const out = [];
-
-  for (const f of frames) {
-    if (!f.fileName || !f.lineNumber) continue;
-
-    let consumer = null;
-    try {
-      const mapURL = `${f.fileName}.map`;
-      const resp = await fetchWithTimeout(mapURL, { cache: "no-store" });
-      if (!resp?.ok) continue;
-
-      let rawMap;
-      try {
-        rawMap = await resp.text();
-      } catch {
-        continue;
-      }
-
-      // source-map-js SourceMapConsumer constructor is synchronous,
-      // but wrap in try/catch because malformed maps throw.
-      try {
-        consumer = new SourceMapConsumer(rawMap);
-      } catch {
-        continue;
-      }
-
-      const pos = consumer.originalPositionFor({
-        line: f.lineNumber,
-        column: f.columnNumber ?? 0,
-      });
-
-      if (!pos?.source || !pos?.line) continue;
-
-      // Prefer inline source content; fall back to fetching the file.
-      let snippet = null;
-      try {
-        const inlineContent = consumer.sourceContentFor(pos.source, true);
-        if (inlineContent) {
-          const allLines = inlineContent.split("\n");
-          const ctx = 5;
-          const start = Math.max(0, pos.line - ctx - 1);
-          const end = Math.min(allLines.length, pos.line + ctx);
-          snippet = allLines
-            .slice(start, end)
-            .map((l, idx) => {
-              const ln = start + idx + 1;
-              return ln === pos.line
-                ? `>> ${ln.toString().padStart(4)} | ${l}`
-                : `   ${ln.toString().padStart(4)} | ${l}`;
-            })
-            .join("\n");
-        }
-      } catch {
-        // sourceContentFor can throw on missing sources — that's fine
-      }
-
-      // If no inline content, try fetching the original source file
-      if (!snippet) {
-        try {
-          const absUrl = new URL(pos.source, mapURL).href;
-          snippet = await fetchSnippet(absUrl, pos.line);
-        } catch {
-          // Malformed URL or network issue — skip snippet
-        }
-      }
-
-      if (!snippet) continue;
-
-      if (out.length) out.push({ separator: true });
-
-      out.push({
-        function: f.functionName,
-        source: pos.source,
-        line: pos.line,
-        column: pos.column ?? 0,
-        snippet: `──────── ${pos.source} ────────\n${snippet}`,
-      });
-    } catch {
-      // Per-frame errors must never abort the whole trace
-      continue;
-    } finally {
-      // Always destroy to prevent memory leaks, even on error paths
-      try {
-        consumer?.destroy?.();
-      } catch {
-        // ignore
-      }
-    }
+    return { body: null, form };
   }
-
-  return out;
 }
 
-/* ───────────────────── Reverse Geocode ───────────────────── */
-
-async function reverseGeocode(lat, lon) {
-  if (!lat || !lon) return {};
-
-  try {
-    const url = new URL("https://nominatim.openstreetmap.org/reverse");
-    url.searchParams.set("lat", String(lat));
-    url.searchParams.set("lon", String(lon));
-    url.searchParams.set("format", "json");
-
-    const res = await fetchWithTimeout(
-      url.toString(),
-      { headers: { "User-Agent": "pixpro-error-tracker/1.0" } },
-      8000, // slightly more generous for geocoding
-    );
-
-    if (!res?.ok) return {};
-
-    let json;
-    try {
-      json = await res.json();
-    } catch {
-      return {};
-    }
-
-    const address = json?.address ?? {};
-
-    return {
-      city:
-        address.city ||
-        address.town ||
-        address.village ||
-        address.hamlet ||
-        null,
-      state: address.state || null,
-      country: address.country || null,
-    };
-  } catch {
-    return {};
-  }
+function denied({ status, message }) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
 }
 
 /* ───────────────────── GET ───────────────────── */
 
 export async function GET(request) {
   try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read errors");
+    if (forbidden) return denied(forbidden);
+
     const { searchParams } = new URL(request.url);
     const id = searchParams.get("id");
-    const projectId = searchParams.get("projectId");
 
     const client = await clientPromise;
-    const collection = client.db("errors").collection("pixpro");
+    const db = client.db(ERRORS_DB);
+    // Free-text search needs the text index
+    await ensureIndexes(db);
+    const collection = db.collection(COLLECTIONS.errors);
 
-    /* ── Single error detail (full doc, incl. screenshot) ── */
+    /* ── Single error detail (full doc, incl. breadcrumbs) ── */
     if (id) {
       if (!ObjectId.isValid(id)) {
         return Response.json(
@@ -318,26 +153,81 @@ export async function GET(request) {
       );
     }
 
-    /* ── Paginated list (no longer hard-capped at 10) ── */
-    const page = Math.max(
-      1,
-      parseInt(searchParams.get("page") || "1", 10) || 1,
-    );
     const rawLimit = parseInt(searchParams.get("limit") || "20", 10);
     // default 20, capped at 200 so a bad client can't pull the whole DB at once
     const limit =
       Number.isNaN(rawLimit) || rawLimit <= 0 ? 20 : Math.min(rawLimit, 200);
-    const skip = (page - 1) * limit;
 
-    const query = projectId ? { projectId } : {};
+    const { query, filtered, error } = buildErrorQuery(searchParams, session);
+    if (error) {
+      return Response.json(
+        { success: false, message: error },
+        { status: 400, headers: corsHeaders },
+      );
+    }
+
+    /* ── Cursor pages: ?cursor= (empty for the first), ?total=approx ── */
+    if (searchParams.has("cursor")) {
+      const rawCursor = searchParams.get("cursor");
+      let find = query;
+      if (rawCursor) {
+        const cursor = decodeCursor(rawCursor);
+        if (!cursor) {
+          return Response.json(
+            { success: false, message: "Invalid cursor." },
+            { status: 400, headers: corsHeaders },
+          );
+        }
+        find = afterCursor(query, cursor);
+      }
+
+      const [rows, approx] = await Promise.all([
+        collection
+          .find(find)
+          .sort(LIST_SORT)
+          .limit(limit + 1) // one extra row says whether there's a next page
+          .project({ screenshot: 0, breadcrumbs: 0 })
+          .toArray(),
+        searchParams.get("total") === "approx"
+          ? approximateTotal(collection, query, filtered)
+          : null,
+      ]);
+      const hasMore = rows.length > limit;
+      const errors = rows.slice(0, limit);
+
+      return Response.json(
+        {
+          success: true,
+          filtered,
+          limit,
+          count: errors.length,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(errors[errors.length - 1]) : null,
+          ...(approx && {
+            total: approx.total,
+            totalApproximate: true,
+            totalCapped: approx.capped,
+          }),
+          data: errors,
+        },
+        { headers: corsHeaders },
+      );
+    }
+
+    /* ── Numbered pages (skip + exact count) ── */
+    const page = Math.max(
+      1,
+      parseInt(searchParams.get("page") || "1", 10) || 1,
+    );
+    const skip = (page - 1) * limit;
 
     const [errors, total] = await Promise.all([
       collection
         .find(query)
-        .sort({ timestamp: -1 })
+        .sort(LIST_SORT)
         .skip(skip)
         .limit(limit)
-        .project({ screenshot: 0 }) // list view stays light
+        .project({ screenshot: 0, breadcrumbs: 0 }) // list view stays light
         .toArray(),
       collection.countDocuments(query),
     ]);
@@ -345,7 +235,7 @@ export async function GET(request) {
     return Response.json(
       {
         success: true,
-        filtered: Boolean(projectId),
+        filtered,
         page,
         limit,
         total,
@@ -364,6 +254,121 @@ export async function GET(request) {
 
 export async function POST(request) {
   try {
+    const { body, form } = await readIngestBody(request);
+    if (!body) {
+      return Response.json(
+        {
+          success: false,
+          message: form
+            ? 'Malformed multipart body: expected an "event" JSON field.'
+            : "Malformed JSON body.",
+        },
+        { status: 400, headers: corsHeaders },
+      );
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    // Authenticate before any of the expensive work below
+    const auth = await authorizeIngest(db, {
+      key: readIngestKey(request, body),
+      origin: request.headers.get("origin"),
+      projectId: body.projectId,
+    });
+    if (!auth.project) {
+      return Response.json(
+        { success: false, message: auth.message },
+        { status: auth.status, headers: corsHeaders },
+      );
+    }
+
+    // The bundled GeoIP lookup is cheap, so the country is filled in right
+    // away and the address itself is never stored. Coordinates, if sent,
+    // refine it in the enrich job.
+    const { event, reason } = buildEvent(body, {
+      projectId: auth.project.projectId,
+      location: lookupIp(requestIp(request.headers)),
+      userAgent: request.headers.get("user-agent"),
+      scrubbing: compileScrubbing(auth.project.scrubbing),
+    });
+    if (!event) {
+      return Response.json(
+        { success: false, message: reason },
+        { status: 400, headers: corsHeaders },
+      );
+    }
+
+    // Sampling, quota and rate limits — dropped events are only counted
+    const { dropped } = await admitEvents(db, auth.project, [event]);
+    if (dropped.length) {
+      const { reason: dropReason } = dropped[0];
+      // A sampled-out event isn't the client's problem; don't make it retry
+      if (dropReason === "sampled") {
+        return Response.json(
+          {
+            success: true,
+            message: DROP_MESSAGES.sampled,
+            dropped: dropReason,
+          },
+          { status: 202, headers: corsHeaders },
+        );
+      }
+      return Response.json(
+        {
+          success: false,
+          message: DROP_MESSAGES[dropReason],
+          dropped: dropReason,
+        },
+        {
+          status: 429,
+          headers: {
+            ...corsHeaders,
+            "Retry-After": String(retryAfterSeconds(dropReason)),
+          },
+        },
+      );
+    }
+
+    // Store the raw event now; symbolication, issue grouping and geocoding
+    // happen in the "enrich" job so the client isn't kept waiting.
+    const { attachments, rejected } = await readAttachments(body, form);
+    event.attachments = await storeAttachments(db, {
+      errorId: event._id,
+      projectId: event.projectId,
+      attachments,
+    });
+
+    await db.collection(COLLECTIONS.errors).insertOne(event);
+    const job = await queueEnrichment(db, event._id);
+
+    if (INLINE_JOBS) waitUntil(drainJobs(db));
+
+    return Response.json(
+      {
+        success: true,
+        message: "Accepted for processing.",
+        id: event._id,
+        jobId: job._id,
+        attachments: event.attachments.map(({ id, name }) => ({ id, name })),
+        ...(rejected.length && { rejectedAttachments: rejected }),
+      },
+      { status: 202, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to log error.");
+  }
+}
+
+/* ───────────────────── PATCH (status) ───────────────────── */
+
+export async function PATCH(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, WRITE_ROLES, "change error status");
+    if (forbidden) return denied(forbidden);
+
     let body;
     try {
       body = await request.json();
@@ -374,57 +379,88 @@ export async function POST(request) {
       );
     }
 
-    if (!body?.error?.message) {
+    if (!isSettableStatus(body.status)) {
       return Response.json(
         {
           success: false,
-          message: "Invalid payload: error.message is required.",
+          message: `Invalid status. Expected one of: ${SETTABLE_STATUSES.join(", ")}.`,
         },
         { status: 400, headers: corsHeaders },
       );
     }
 
-    // Both are safe — they return [] / {} on any internal failure
-    const [mappedStack, location] = await Promise.all([
-      mapStackTrace(body.error?.stack).catch(() => []),
-      reverseGeocode(body.geo?.lat, body.geo?.lon).catch(() => ({})),
-    ]);
+    let filter;
+    if (body.id) {
+      if (!ObjectId.isValid(body.id)) {
+        return Response.json(
+          { success: false, message: "Invalid ObjectId." },
+          { status: 400, headers: corsHeaders },
+        );
+      }
+      filter = { _id: new ObjectId(body.id) };
+    } else if (Array.isArray(body.ids)) {
+      const objectIds = body.ids
+        .filter((id) => ObjectId.isValid(id))
+        .map((id) => new ObjectId(id));
+      if (!objectIds.length) {
+        return Response.json(
+          { success: false, message: "No valid IDs provided." },
+          { status: 400, headers: corsHeaders },
+        );
+      }
+      filter = { _id: { $in: objectIds } };
+    } else if (body.projectId) {
+      filter = { projectId: body.projectId };
+    } else {
+      return Response.json(
+        {
+          success: false,
+          message: "Invalid payload: id, ids or projectId is required.",
+        },
+        { status: 400, headers: corsHeaders },
+      );
+    }
+
+    // Re-applying the current status would only add noise to the history
+    filter.status = { $ne: body.status };
 
     const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
 
-    await client
-      .db("errors")
-      .collection("pixpro")
-      .insertOne({
-        projectId: body.projectId || "unknown",
-        error: {
-          message: body.error.message,
-          name: body.error.name ?? "Error",
-          stack: body.error.stack ?? null,
-        },
-        mappedStack,
-        deviceInfo: body.deviceInfo ?? null,
-        locationInfo: body.locationInfo ?? null,
-        geo: body.geo ?? {},
-        city: location.city ?? null,
-        state: location.state ?? null,
-        country: location.country ?? null,
-        timestamp: new Date(),
-      });
+    const scoped = await scopeWriteFilter(db, session, filter);
+    if (!scoped.filter) return denied(scoped);
+
+    const result = await db
+      .collection(COLLECTIONS.errors)
+      .updateMany(scoped.filter, statusUpdate(body.status, session));
 
     return Response.json(
-      { success: true, message: "Logged with source map." },
+      {
+        success: true,
+        message: `Marked ${result.modifiedCount} record(s) as ${body.status}.`,
+        modified: result.modifiedCount,
+      },
       { headers: corsHeaders },
     );
   } catch (err) {
-    return errorResponse(err, "Failed to log error.");
+    return errorResponse(err, "Failed to update status.");
   }
 }
 
 /* ───────────────────── DELETE ───────────────────── */
 
+/**
+ * { id } / { ids }      → lead (own projects) or head
+ * { projectId }         → head only
+ * { deleteAll: true }   → head only
+ * Every delete is written to the audit trail.
+ */
 export async function DELETE(request) {
   try {
+    const session = await getSession();
+    const forbidden = checkRole(session, WRITE_ROLES, "delete errors");
+    if (forbidden) return denied(forbidden);
+
     let body;
     try {
       body = await request.json();
@@ -436,7 +472,8 @@ export async function DELETE(request) {
     }
 
     const client = await clientPromise;
-    const collection = client.db("errors").collection("pixpro");
+    const db = client.db(ERRORS_DB);
+    const collection = db.collection(COLLECTIONS.errors);
 
     // Single ID
     if (body.id) {
@@ -446,7 +483,22 @@ export async function DELETE(request) {
           { status: 400, headers: corsHeaders },
         );
       }
-      const result = await collection.deleteOne({ _id: new ObjectId(body.id) });
+      const scoped = await scopeWriteFilter(db, session, {
+        _id: new ObjectId(body.id),
+      });
+      if (!scoped.filter) return denied(scoped);
+
+      const result = await collection.deleteOne(scoped.filter);
+      if (result.deletedCount) {
+        await deleteAttachments(db, { errorId: new ObjectId(body.id) });
+        await deleteComments(db, { errorId: new ObjectId(body.id) });
+      }
+      await writeAudit(db, {
+        action: "error.delete",
+        session,
+        target: { id: body.id },
+        result: { deletedCount: result.deletedCount },
+      });
       return Response.json(
         {
           success: result.deletedCount > 0,
@@ -470,25 +522,60 @@ export async function DELETE(request) {
         );
       }
 
-      const result = await collection.deleteMany({ _id: { $in: objectIds } });
+      const scoped = await scopeWriteFilter(db, session, {
+        _id: { $in: objectIds },
+      });
+      if (!scoped.filter) return denied(scoped);
+
+      const result = await collection.deleteMany(scoped.filter);
+      await deleteAttachments(db, { errorId: { $in: objectIds } });
+      await deleteComments(db, { errorId: { $in: objectIds } });
+      await writeAudit(db, {
+        action: "error.deleteMany",
+        session,
+        target: { ids: objectIds.map(String) },
+        result: { deletedCount: result.deletedCount },
+      });
       return Response.json(
         { success: true, message: `Deleted ${result.deletedCount} record(s).` },
         { headers: corsHeaders },
       );
     }
 
+    // Project-wide and global deletes are reserved for head
+    if (body.projectId || body.deleteAll === true) {
+      const notHead = checkRole(session, ADMIN_ROLES, "delete in bulk");
+      if (notHead) return denied(notHead);
+    }
+
     // By projectId
     if (body.projectId) {
       const result = await collection.deleteMany({ projectId: body.projectId });
+      await deleteAttachments(db, { projectId: body.projectId });
+      await deleteComments(db, { projectId: body.projectId });
+      await writeAudit(db, {
+        action: "error.deleteProject",
+        session,
+        target: { projectId: body.projectId },
+        result: { deletedCount: result.deletedCount },
+      });
       return Response.json(
         { success: true, message: `Deleted ${result.deletedCount} record(s).` },
         { headers: corsHeaders },
       );
     }
 
-    // Nuke everything
+    // Nuke everything (issue summaries included — they'd all be orphans)
     if (body.deleteAll === true) {
       const result = await collection.deleteMany({});
+      await db.collection(COLLECTIONS.issues).deleteMany({});
+      await deleteAttachments(db, {});
+      await deleteComments(db, {});
+      await writeAudit(db, {
+        action: "error.deleteAll",
+        session,
+        result: { deletedCount: result.deletedCount },
+      });
       return Response.json(
         {
           success: true,
@@ -0,0 +1,222 @@
+import clientPromise from "@/lib/mongodb";
+import { waitUntil } from "@vercel/functions";
+import { brotliDecompressSync, gunzipSync, inflateSync } from "zlib";
+import { readAttachments, storeAttachments } from "@/lib/tracker/attachments";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import { lookupIp, requestIp } from "@/lib/tracker/geo";
+import {
+  INLINE_JOBS,
+  buildEvent,
+  drainJobs,
+  queueEnrichments,
+} from "@/lib/tracker/ingest";
+import { admitEvents, retryAfterSeconds } from "@/lib/tracker/limits";
+import { authorizeIngest } from "@/lib/tracker/projects";
+import { compileScrubbing } from "@/lib/tracker/scrub";
+import {
+  dsnProjectId,
+  parseEnvelope,
+  readSentryKey,
+  translateSentryEvent,
+} from "@/lib/tracker/sentry";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, X-Sentry-Auth",
+  "Access-Control-Expose-Headers": "Retry-After",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/** Server SDKs compress large payloads. */
+function decodeBody(buffer, encoding) {
+  switch ((encoding || "").toLowerCase()) {
+    case "gzip":
+      return gunzipSync(buffer);
+    case "deflate":
+      return inflateSync(buffer);
+    case "br":
+      return brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+/** "https://<key>@host/…" → "<key>" */
+function keyFromDsn(dsn) {
+  try {
+    return new URL(dsn).username || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * { key, events: [sentryEvent], attachments: [{ name, contentType, data }] }
+ * from a store (single JSON event) or envelope body. Items other than
+ * events and attachments (sessions, transactions, client reports) are
+ * ignored.
+ */
+function readSentryBody(endpoint, buffer) {
+  if (endpoint === "store") {
+    return { key: null, events: [JSON.parse(buffer.toString("utf8"))] };
+  }
+
+  const { header, items } = parseEnvelope(buffer);
+  const events = [];
+  const attachments = [];
+  for (const item of items) {
+    if (item.header.type === "event") {
+      events.push(JSON.parse(item.payload.toString("utf8")));
+    } else if (item.header.type === "attachment") {
+      attachments.push({
+        name: item.header.filename,
+        contentType: item.header.content_type,
+        data: item.payload.toString("base64"),
+      });
+    }
+  }
+  return { key: keyFromDsn(header.dsn), events, attachments };
+}
+
+/* ───────────────────── POST ───────────────────── */
+
+export async function POST(request, { params }) {
+  try {
+    const { projectId, endpoint } = await params;
+    if (endpoint !== "store" && endpoint !== "envelope") {
+      return fail(404, "Unknown Sentry endpoint.");
+    }
+
+    let parsed;
+    try {
+      const raw = Buffer.from(await request.arrayBuffer());
+      const buffer = decodeBody(raw, request.headers.get("content-encoding"));
+      parsed = readSentryBody(endpoint, buffer);
+    } catch {
+      return fail(400, `Malformed Sentry ${endpoint} payload.`);
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    await ensureIndexes(db);
+
+    // The DSN's public key is a project ingest key and picks the project
+    const auth = await authorizeIngest(db, {
+      key: readSentryKey(request) || parsed.key,
+      origin: request.headers.get("origin"),
+      projectId: dsnProjectId(projectId),
+    });
+    if (!auth.project) return fail(auth.status, auth.message);
+
+    const location = lookupIp(requestIp(request.headers));
+    const userAgent = request.headers.get("user-agent");
+    const scrubbing = compileScrubbing(auth.project.scrubbing);
+    const built = [];
+    for (const sentryEvent of parsed.events) {
+      const payload = translateSentryEvent(sentryEvent);
+      if (!payload) continue;
+      const { event, reason } = buildEvent(payload, {
+        projectId: auth.project.projectId,
+        location,
+        userAgent,
+        scrubbing,
+      });
+      if (!event) return fail(400, reason);
+
+      event.sentryEventId = sentryEvent.event_id ?? null;
+      event.sdk = sentryEvent.sdk?.name
+        ? { name: sentryEvent.sdk.name, version: sentryEvent.sdk.version }
+        : null;
+      built.push(event);
+    }
+
+    // Nothing we keep (transactions, sessions…) — acknowledge and move on
+    if (!built.length) {
+      return Response.json({ id: null }, { headers: corsHeaders });
+    }
+
+    const { events, dropped } = await admitEvents(db, auth.project, built);
+    if (!events.length) {
+      const limited = dropped.find((d) => d.reason !== "sampled");
+      // SDKs back off on 429 + Retry-After; sampled events are just acked
+      if (limited) {
+        return Response.json(
+          { id: null },
+          {
+            status: 429,
+            headers: {
+              ...corsHeaders,
+              "Retry-After": String(retryAfterSeconds(limited.reason)),
+            },
+          },
+        );
+      }
+      return Response.json(
+        { id: built[0].sentryEventId },
+        { headers: corsHeaders },
+      );
+    }
+
+    // An envelope carries one event; its attachments belong to it
+    if (parsed.attachments?.length) {
+      const { attachments } = await readAttachments({
+        attachments: parsed.attachments,
+      });
+      events[0].attachments = await storeAttachments(db, {
+        errorId: events[0]._id,
+        projectId: events[0].projectId,
+        attachments,
+      });
+    }
+
+    await db.collection(COLLECTIONS.errors).insertMany(events);
+    await queueEnrichments(db, events.map((e) => e._id));
+    if (INLINE_JOBS) waitUntil(drainJobs(db));
+
+    // The SDK only needs the event id back
+    return Response.json(
+      { id: events[0].sentryEventId },
+      { headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to log Sentry event.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -0,0 +1,131 @@
+import clientPromise from "@/lib/mongodb";
+import { getSession } from "@/lib/auth";
+import { READ_ROLES, checkRole } from "@/lib/tracker/access";
+import { ERRORS_DB } from "@/lib/tracker/collections";
+import { followLive } from "@/lib/tracker/live";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+// Serverless functions are cut off eventually; EventSource reconnects
+export const maxDuration = 300;
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 5000;
+
+function fail(status, message) {
+  return Response.json(
+    { success: false, message },
+    { status, headers: corsHeaders },
+  );
+}
+
+/* ───────────────────── GET (Server-Sent Events) ───────────────────── */
+
+/**
+ *   ?projectId=<id>    – only that project's occurrences and issues
+ *
+ * Events:
+ *   ready       { mode: "changeStream" | "polling" }
+ *   occurrence  a newly stored error (list shape, no screenshot/breadcrumbs)
+ *   issue       { _id, fingerprint, name, message, count, lastSeen, … }
+ *               whenever an issue is created or its count changes
+ *   failed      { message } right before the server closes the stream
+ *
+ * Named "occurrence" rather than "error" so it can't be mistaken for
+ * EventSource's own connection-error event.
+ */
+export async function GET(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, READ_ROLES, "read errors");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    const { searchParams } = new URL(request.url);
+    const projectId = searchParams.get("projectId") || null;
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+
+    const encoder = new TextEncoder();
+    const abort = new AbortController();
+    request.signal.addEventListener("abort", () => abort.abort(), {
+      once: true,
+    });
+
+    const stream = new ReadableStream({
+      start(controller) {
+        const write = (chunk) => {
+          try {
+            controller.enqueue(encoder.encode(chunk));
+          } catch {
+            abort.abort(); // the client went away
+          }
+        };
+        const send = (event, data) =>
+          write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        write(`retry: ${RETRY_MS}\n\n`);
+        const heartbeat = setInterval(() => write(": ping\n\n"), HEARTBEAT_MS);
+
+        followLive(db, { projectId, signal: abort.signal, send })
+          .catch((err) => {
+            console.error("[pixpro] Live feed failed", err);
+            send("failed", { message: "Live feed failed." });
+          })
+          .finally(() => {
+            clearInterval(heartbeat);
+            try {
+              controller.close();
+            } catch {
+              // already closed by a cancel
+            }
+          });
+      },
+      cancel() {
+        abort.abort();
+      },
+    });
+
+    return new Response(stream, {
+      headers: {
+        ...corsHeaders,
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      },
+    });
+  } catch (err) {
+    return errorResponse(err, "Failed to open the live feed.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -0,0 +1,201 @@
+import clientPromise from "@/lib/mongodb";
+import { ObjectId } from "mongodb";
+import { getSession } from "@/lib/auth";
+import {
+  WRITE_ROLES,
+  checkRole,
+  scopeWriteFilter,
+} from "@/lib/tracker/access";
+import { writeAudit } from "@/lib/tracker/audit";
+import {
+  COLLECTIONS,
+  ERRORS_DB,
+  ensureIndexes,
+} from "@/lib/tracker/collections";
+import {
+  TASKS_DB,
+  claimTaskLink,
+  describeError,
+  linkFilter,
+  releaseTaskLink,
+} from "@/lib/tracker/tasks";
+
+/* ───────────────────── Route Config (Next.js 15+) ───────────────────── */
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+/* ───────────────────── CORS ───────────────────── */
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+export async function OPTIONS() {
+  return new Response(null, { status: 204, headers: corsHeaders });
+}
+
+/* ───────────────────── Helpers ───────────────────── */
+
+function fail(status, message, extra = {}) {
+  return Response.json(
+    { success: false, message, ...extra },
+    { status, headers: corsHeaders },
+  );
+}
+
+/* ───────────────────── POST (create task from error) ───────────────────── */
+
+/**
+ * { errorId, project, assignedTo?: [userId], title?, description? }
+ *
+ * Creates a pending task in task-manager project `project` describing
+ * the error (summary, dashboard link, mapped stack) and stores its
+ * `taskId` on every occurrence of the error's issue in that project;
+ * later occurrences inherit it at ingest. Completing the task resolves
+ * them; setting it back to pending reopens them (see
+ * lib/tracker/tasks.js). An error links to one task at most.
+ */
+export async function POST(request) {
+  try {
+    const session = await getSession();
+    const forbidden = checkRole(session, WRITE_ROLES, "create tasks");
+    if (forbidden) return fail(forbidden.status, forbidden.message);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return fail(400, "Malformed JSON body.");
+    }
+
+    if (!ObjectId.isValid(body.errorId)) return fail(400, "Invalid errorId.");
+    if (!ObjectId.isValid(body.project)) return fail(400, "Invalid project.");
+    const assignedTo = body.assignedTo ?? [];
+    if (
+      !Array.isArray(assignedTo) ||
+      !assignedTo.every((id) => ObjectId.isValid(id))
+    ) {
+      return fail(400, "Invalid assignedTo: expected an array of user IDs.");
+    }
+    for (const field of ["title", "description"]) {
+      if (body[field] != null && typeof body[field] !== "string") {
+        return fail(400, `Invalid ${field}: expected a string.`);
+      }
+    }
+
+    const client = await clientPromise;
+    const db = client.db(ERRORS_DB);
+    const tasksDb = client.db(TASKS_DB);
+    await ensureIndexes(db);
+    const errors = db.collection(COLLECTIONS.errors);
+
+    const errorFilter = { _id: new ObjectId(body.errorId) };
+    const scoped = await scopeWriteFilter(db, session, errorFilter);
+    if (!scoped.filter) return fail(scoped.status, scoped.message);
+
+    const event = await errors.findOne(scoped.filter);
+    if (!event) return fail(404, "Error not found.");
+    if (event.taskId) {
+      return fail(409, "Error is already linked to a task.", {
+        taskId: event.taskId,
+      });
+    }
+
+    const project = await tasksDb
+      .collection("projects")
+      .findOne({ _id: new ObjectId(body.project), deleted: { $ne: true } });
+    if (!project) return fail(404, "Project not found.");
+
+    const issue = event.issueId
+      ? await db.collection(COLLECTIONS.issues).findOne({ _id: event.issueId })
+      : null;
+    const summary = describeError(event, issue);
+
+    const taskId = new ObjectId();
+    if (!(await claimTaskLink(db, event, taskId))) {
+      return fail(409, "Error is already linked to a task.");
+    }
+
+    // Same shape as POST /api/tasks, plus where it came from
+    const now = new Date();
+    const task = {
+      _id: taskId,
+      title: body.title?.trim() || summary.title,
+      description: body.description?.trim() || summary.description,
+      project: project._id,
+      assignedTo: assignedTo.map((id) => new ObjectId(id)),
+      createdBy: new ObjectId(session.id),
+      status: "pending",
+      deleted: false,
+      createdAt: now,
+      trackProgress: false,
+      unit: "",
+      target: null,
+      parentTask: null,
+      department: "",
+      source: {
+        type: "error",
+        errorId: event._id,
+        issueId: event.issueId ?? null,
+        projectId: event.projectId,
+      },
+    };
+    try {
+      await tasksDb.collection("tasks").insertOne(task);
+    } catch (err) {
+      await releaseTaskLink(db, event, taskId);
+      throw err;
+    }
+
+    const linked = await errors.updateMany(
+      { ...linkFilter(event), taskId: { $in: [null, taskId] } },
+      {
+        $set: {
+          taskId,
+          taskLinkedAt: now,
+          taskLinkedBy: { id: session.id, name: session.name ?? null },
+        },
+      },
+    );
+
+    await writeAudit(db, {
+      action: "tasks.create",
+      session,
+      target: {
+        errorId: event._id,
+        issueId: event.issueId ?? null,
+        projectId: event.projectId,
+        taskId,
+      },
+      result: { linked: linked.modifiedCount },
+    });
+
+    return Response.json(
+      {
+        success: true,
+        data: task,
+        linked: linked.modifiedCount,
+      },
+      { status: 201, headers: corsHeaders },
+    );
+  } catch (err) {
+    return errorResponse(err, "Failed to create task.");
+  }
+}
+
+/* ───────────────────── Error Handler ───────────────────── */
+
+function errorResponse(err, message = "Internal server error.") {
+  console.error(`[pixpro] ${message}`, err);
+  return Response.json(
+    {
+      success: false,
+      message,
+      error: process.env.NODE_ENV === "development" ? String(err) : undefined,
+    },
+    { status: 500, headers: corsHeaders },
+  );
+}
@@ -1,7 +1,9 @@
-import { connectDB } from '@/lib/mongodb';
+import client, { connectDB } from '@/lib/mongodb';
 import { oid } from '@/lib/objectId';
 import { getSession } from '@/lib/auth';
 import { NextResponse } from 'next/server';
+import { ERRORS_DB } from '@/lib/tracker/collections';
+import { syncLinkedErrors } from '@/lib/tracker/tasks';
 
 export async function PUT(req, { params }) {
     const session = await getSession();
@@ -24,6 +26,9 @@ export async function PUT(req, { params }) {
 
     await db.collection('tasks').updateOne({ _id: oid(id) }, { $set: set });
     const task = await db.collection('tasks').findOne({ _id: oid(id) });
+    // Tasks created from an error resolve / reopen it (lib/tracker/tasks.js)
+    if (body.status !== undefined && task?.source?.type === 'error')
+        await syncLinkedErrors(client.db(ERRORS_DB), task, session);
     return NextResponse.json(task);
 }
 
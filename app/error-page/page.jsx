@@ -1,6 +1,7 @@
 "use client";
 
 import { useEffect, useState, useMemo, useCallback, useRef } from "react";
+import { useRouter } from "next/navigation";
 import {
   FaBug,
   FaClock,
@@ -25,7 +26,13 @@ import {
   FaImage,
   FaFileExcel,
   FaDownload,
-  FaTrashAlt
+  FaTrashAlt,
+  FaRoute,
+  FaCompass,
+  FaMousePointer,
+  FaTerminal,
+  FaExchangeAlt,
+  FaBan,
 } from "react-icons/fa";
 import { IoRefresh, IoClose } from "react-icons/io5";
 import {
@@ -39,11 +46,15 @@ import {
   ResponsiveContainer,
   CartesianGrid,
 } from "recharts";
+import { DEFAULT_STATUS, OPEN_STATUSES, STATUSES } from "@/lib/tracker/status";
 
 const API = "https://my-server-jade-beta.vercel.app/api/error";
 const ANALYTICS = `${API}/analytics`;
+const TIMESERIES = `${ANALYTICS}/timeseries`;
+const STREAM = `${API}/stream`;
 const EXPORT = `${API}/export`;
-const ALLOWED_STATUSES = ["pending", "resolved", "rejected"];
+const ATTACHMENTS = `${API}/attachments`;
+const ALLOWED_STATUSES = STATUSES;
 const PAGE_SIZE = 500; // rows per SERVER page
 
 /* =================================================================
@@ -296,7 +307,7 @@ const ErrorRow = ({ error, onView, onDelete, isSelected, onToggle }) => {
           <span className="text-sm font-medium text-white truncate">
             {error.error?.name}
           </span>
-          {error.status && error.status !== "pending" && (
+          {error.status && error.status !== DEFAULT_STATUS && (
             <Pill>{error.status}</Pill>
           )}
         </div>
@@ -448,11 +459,105 @@ const Section = ({ title, icon: Icon, children, className = "" }) => (
   </div>
 );
 
-const ErrorDetail = ({ error, loading, onBack, onResolve, onReject }) => {
+/* Breadcrumb trail — oldest first, ending at the moment of the error */
+const BREADCRUMB_ICONS = {
+  navigation: FaCompass,
+  click: FaMousePointer,
+  console: FaTerminal,
+  fetch: FaExchangeAlt,
+};
+
+const crumbSummary = (c) => {
+  const d = c.data || {};
+  switch (c.type) {
+    case "navigation":
+      return d.from ? `${d.from} → ${d.to ?? "?"}` : d.to;
+    case "click":
+      return d.text ? `${d.selector ?? ""} "${d.text}"`.trim() : d.selector;
+    case "fetch":
+      return [
+        d.method,
+        d.url,
+        d.status,
+        d.durationMs != null ? `${d.durationMs}ms` : null,
+      ]
+        .filter((v) => v != null)
+        .join(" ");
+    default:
+      return null;
+  }
+};
+
+const BreadcrumbTimeline = ({ breadcrumbs, dropped, errorAt }) => (
+  <ol className="relative border-l border-white/10 ml-2 space-y-2">
+    {breadcrumbs.map((c, i) => {
+      const Icon = BREADCRUMB_ICONS[c.type] || FaClock;
+      const summary = crumbSummary(c);
+      const failed =
+        (c.type === "fetch" && (c.data?.status ?? 0) >= 400) ||
+        (c.type === "console" && c.level === "error");
+      return (
+        <li key={i} className="pl-4 relative">
+          <span className="absolute -left-[9px] top-0.5 h-4 w-4 rounded-full bg-neutral-900 border border-white/20 flex items-center justify-center">
+            <Icon className="text-[8px] text-neutral-300" />
+          </span>
+          <div className="flex items-baseline gap-2 text-xs">
+            <span className="text-neutral-500 font-mono shrink-0">
+              {fmtFull(c.timestamp)}
+            </span>
+            <Pill className={failed ? "!border-white/60 !text-white" : ""}>
+              {c.type === "console" ? `console.${c.level}` : c.type}
+            </Pill>
+            {summary && (
+              <span className="text-neutral-300 font-mono break-all">
+                {summary}
+              </span>
+            )}
+          </div>
+          {c.message && (
+            <p className="text-xs text-neutral-100 mt-0.5 break-all">
+              {c.message}
+            </p>
+          )}
+        </li>
+      );
+    })}
+    <li className="pl-4 relative">
+      <span className="absolute -left-[9px] top-0.5 h-4 w-4 rounded-full bg-white flex items-center justify-center">
+        <FaExclamationTriangle className="text-[8px] text-black" />
+      </span>
+      <span className="text-xs text-white font-mono">
+        {fmtFull(errorAt)} — error
+      </span>
+    </li>
+    {dropped > 0 && (
+      <li className="pl-4 text-[11px] text-neutral-500">
+        {dropped} older or invalid breadcrumb(s) not stored
+      </li>
+    )}
+  </ol>
+);
+
+const ErrorDetail = ({
+  error,
+  loading,
+  onBack,
+  onResolve,
+  onReject,
+  onIgnore,
+  onReopen,
+}) => {
   const emp = error.deviceInfo?.employeeDetails || {};
   const loc = error.locationInfo || {};
   const dev = error.deviceInfo || {};
   const mappedStack = error.mappedStack || [];
+  const attachments = error.attachments || [];
+  const screenshot = attachments.find((a) => a.kind === "screenshot");
+  const files = attachments.filter((a) => a !== screenshot);
+  // Older occurrences embedded the screenshot as a data URL
+  const screenshotSrc = screenshot
+    ? `${ATTACHMENTS}?id=${screenshot.id}`
+    : error.screenshot;
 
   return (
     <div className="min-h-screen bg-black text-neutral-200 antialiased">
@@ -469,6 +574,23 @@ const ErrorDetail = ({ error, loading, onBack, onResolve, onReject }) => {
                 <IoRefresh className="animate-spin" /> loading details…
               </span>
             )}
+            {!OPEN_STATUSES.includes(error.status || DEFAULT_STATUS) ? (
+              <Button
+                variant="default"
+                size="sm"
+                onClick={() => onReopen(error._id)}
+              >
+                <IoRefresh /> Reopen
+              </Button>
+            ) : (
+              <Button
+                variant="default"
+                size="sm"
+                onClick={() => onIgnore(error._id)}
+              >
+                Ignore
+              </Button>
+            )}
             <Button
               variant="solid"
               size="sm"
@@ -495,7 +617,7 @@ const ErrorDetail = ({ error, loading, onBack, onResolve, onReject }) => {
             <h1 className="text-xl font-bold text-white">
               {error.error?.name}
             </h1>
-            {error.status && error.status !== "pending" && (
+            {error.status && error.status !== DEFAULT_STATUS && (
               <Pill>{error.status}</Pill>
             )}
           </div>
@@ -508,9 +630,55 @@ const ErrorDetail = ({ error, loading, onBack, onResolve, onReject }) => {
         <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
           <Section title="Error" icon={FaClock}>
             <DetailRow label="Time" value={fmtFull(error.timestamp)} />
-            <DetailRow label="Status" value={error.status || "pending"} />
+            <DetailRow label="Status" value={error.status || DEFAULT_STATUS} />
+            {error.statusChangedAt && (
+              <DetailRow
+                label="Changed"
+                value={`${fmtFull(error.statusChangedAt)}${
+                  error.statusChangedBy?.name
+                    ? ` by ${error.statusChangedBy.name}`
+                    : ""
+                }`}
+              />
+            )}
             <DetailRow label="User ID" value={error.userId} />
             <DetailRow label="Project ID" value={error.projectId} />
+            <DetailRow label="Release" value={error.release} />
+            <DetailRow label="Environment" value={error.environment} />
+            <DetailRow label="Task" value={error.taskId} />
+            <DetailRow
+              label="Assignee"
+              value={error.assignee && (error.assignee.name || error.assignee.id)}
+            />
+            <DetailRow
+              label="User"
+              value={
+                error.user &&
+                [error.user.username, error.user.email, error.user.id]
+                  .filter(Boolean)
+                  .join(" · ")
+              }
+            />
+            <DetailRow
+              label="SDK"
+              value={error.sdk && `${error.sdk.name} ${error.sdk.version ?? ""}`}
+            />
+            {/* PII rules that replaced something at ingest */}
+            <DetailRow
+              label="Scrubbed"
+              value={error.scrubbed?.rules?.join(", ")}
+            />
+            {/* Symbolication / geocoding still queued, retrying or given up */}
+            {error.enrichment?.status && error.enrichment.status !== "done" && (
+              <DetailRow
+                label="Processing"
+                value={`${error.enrichment.status}${
+                  error.enrichment.lastError
+                    ? ` — ${error.enrichment.lastError}`
+                    : ""
+                }`}
+              />
+            )}
           </Section>
 
           <Section title="Device" icon={FaLaptop}>
@@ -545,17 +713,77 @@ const ErrorDetail = ({ error, loading, onBack, onResolve, onReject }) => {
           </Section>
         </div>
 
-        {/* Screenshot (only in the by-id detail payload) */}
-        {error.screenshot && (
+        {/* Regression history (only in the by-id detail payload) */}
+        {error.regressions?.length > 0 && (
+          <Section title="Regressions" icon={FaExclamationTriangle}>
+            {error.regressions.map((r, i) => (
+              <DetailRow
+                key={i}
+                label={fmtFull(r.at)}
+                value={
+                  r.resolvedAt
+                    ? `came back after being resolved ${fmtFull(r.resolvedAt)}${
+                        r.resolvedBy?.name ? ` by ${r.resolvedBy.name}` : ""
+                      }`
+                    : "came back after being resolved"
+                }
+              />
+            ))}
+          </Section>
+        )}
+
+        {error.tags && Object.keys(error.tags).length > 0 && (
+          <Section title="Tags" icon={FaLayerGroup}>
+            <div className="flex flex-wrap gap-1.5">
+              {Object.entries(error.tags).map(([k, v]) => (
+                <Pill key={k} className="normal-case">
+                  {k}: {v}
+                </Pill>
+              ))}
+            </div>
+          </Section>
+        )}
+
+        {/* What led up to it (only in the by-id detail payload) */}
+        {error.breadcrumbs?.length > 0 && (
+          <Section title="Breadcrumbs" icon={FaRoute}>
+            <BreadcrumbTimeline
+              breadcrumbs={error.breadcrumbs}
+              dropped={error.breadcrumbsDropped}
+              errorAt={error.timestamp}
+            />
+          </Section>
+        )}
+
+        {/* Screenshot (served by the attachments endpoint) */}
+        {screenshotSrc && (
           <Section title="Screenshot" icon={FaImage}>
             <img
-              src={error.screenshot}
+              src={screenshotSrc}
               alt="Error screenshot"
               className="w-full rounded-lg border border-white/10"
             />
           </Section>
         )}
 
+        {files.length > 0 && (
+          <Section title="Attachments" icon={FaDownload}>
+            {files.map((a) => (
+              <a
+                key={a.id}
+                href={`${ATTACHMENTS}?id=${a.id}`}
+                className="flex items-center gap-2 text-xs py-0.5 text-neutral-100 hover:text-white hover:underline"
+              >
+                <FaDownload className="text-[10px] text-neutral-500" />
+                <span className="break-all">{a.name}</span>
+                <span className="text-neutral-500 font-mono shrink-0">
+                  {a.contentType} · {(a.size / 1024).toFixed(1)} KB
+                </span>
+              </a>
+            ))}
+          </Section>
+        )}
+
         {/* Full stack trace */}
         <Section title="Stack Trace" icon={FaCode}>
           {mappedStack.length > 0 ? (
@@ -662,9 +890,12 @@ const DeleteAllModal = ({ open, onClose, onConfirm, total, deleting }) => {
    Main dashboard
 ================================================================= */
 export default function ErrorTrackingDashboard() {
+  const router = useRouter();
+
   // server-driven data
   const [errors, setErrors] = useState([]); // current page rows
   const [analytics, setAnalytics] = useState(null); // full-DB aggregates
+  const [timeSeries, setTimeSeries] = useState(null); // daily buckets, 14 days
   const [pageInfo, setPageInfo] = useState({ total: 0, totalPages: 1 });
 
   const [loading, setLoading] = useState(true);
@@ -684,8 +915,10 @@ export default function ErrorTrackingDashboard() {
   const [selectedError, setSelectedError] = useState(null);
   const [detailLoading, setDetailLoading] = useState(false);
 
-  // filters — projectFilter + page are SERVER-side; the rest refine the page
+  // filters — all SERVER-side: search, type + date go out as the `q` language
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [searchError, setSearchError] = useState("");
   const [dateRange, setDateRange] = useState("");
   const [projectFilter, setProjectFilter] = useState("");
   const [typeFilter, setTypeFilter] = useState("");
@@ -707,6 +940,25 @@ export default function ErrorTrackingDashboard() {
 
   const prevIdsRef = useRef(new Set());
 
+  // don't hit the server on every keystroke
+  useEffect(() => {
+    const id = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(id);
+  }, [searchTerm]);
+
+  const searchQuery = useMemo(() => {
+    const parts = [];
+    if (debouncedSearch) parts.push(debouncedSearch);
+    if (typeFilter) parts.push(`type:"${typeFilter}"`);
+    const since = {
+      today: new Date(new Date().setHours(0, 0, 0, 0)).toISOString(),
+      week: "7d",
+      month: "30d",
+    }[dateRange];
+    if (since) parts.push(`since:${since}`);
+    return parts.join(" ");
+  }, [debouncedSearch, typeFilter, dateRange]);
+
   /* ---------- fetch list + analytics together ---------- */
   const fetchAll = useCallback(
     async (isRefresh = false) => {
@@ -716,22 +968,47 @@ export default function ErrorTrackingDashboard() {
         listURL.searchParams.set("page", String(page));
         listURL.searchParams.set("limit", String(PAGE_SIZE));
         if (projectFilter) listURL.searchParams.set("projectId", projectFilter);
+        if (statusFilter) listURL.searchParams.set("status", statusFilter);
+        if (searchQuery) listURL.searchParams.set("q", searchQuery);
 
         const anURL = new URL(ANALYTICS);
         anURL.searchParams.set("top", "8");
         if (projectFilter) anURL.searchParams.set("projectId", projectFilter);
 
-        const [listRes, anRes] = await Promise.all([
-          fetch(listURL.toString()).then((r) => r.json()),
-          fetch(anURL.toString()).then((r) => r.json()),
+        const tsURL = new URL(TIMESERIES);
+        tsURL.searchParams.set("interval", "day");
+        tsURL.searchParams.set(
+          "from",
+          new Date(Date.now() - 13 * 864e5).toISOString(),
+        );
+        if (projectFilter) tsURL.searchParams.set("projectId", projectFilter);
+
+        const [listResp, anResp, tsResp] = await Promise.all([
+          fetch(listURL.toString()),
+          fetch(anURL.toString()),
+          fetch(tsURL.toString()),
+        ]);
+        // the error API needs a session now — send anonymous visitors to login
+        if (listResp.status === 401) return router.push("/login");
+        const [listRes, anRes, tsRes] = await Promise.all([
+          listResp.json(),
+          anResp.json(),
+          tsResp.json(),
         ]);
 
-        setErrors(listRes?.data || []);
+        // 400 = the search didn't parse; keep the last good page
+        if (listResp.status === 400) {
+          setSearchError(listRes?.message || "Invalid search.");
+        } else {
+          setSearchError("");
+          setErrors(listRes?.data || []);
+        }
         setPageInfo({
           total: listRes?.total ?? 0,
           totalPages: listRes?.totalPages ?? 1,
         });
         setAnalytics(anRes?.success ? anRes : null);
+        setTimeSeries(tsRes?.success ? tsRes.buckets : null);
       } catch (e) {
         console.error(e);
       } finally {
@@ -739,24 +1016,51 @@ export default function ErrorTrackingDashboard() {
         setRefreshing(false);
       }
     },
-    [page, projectFilter],
+    [page, projectFilter, statusFilter, searchQuery, router],
   );
 
   useEffect(() => {
     fetchAll();
   }, [fetchAll]);
 
-  // auto refresh
+  // live — the SSE feed says when something changed; refetch (at most
+  // every 2s) so filters + analytics stay right. Poll only while it's down.
+  const fetchAllRef = useRef(fetchAll);
+  useEffect(() => {
+    fetchAllRef.current = fetchAll;
+  }, [fetchAll]);
+
   useEffect(() => {
     if (!autoRefresh) return;
-    const id = setInterval(() => fetchAll(true), 30000);
-    return () => clearInterval(id);
-  }, [autoRefresh, fetchAll]);
+    const url = new URL(STREAM);
+    if (projectFilter) url.searchParams.set("projectId", projectFilter);
+    const source = new EventSource(url.toString());
+
+    let pending = null;
+    const refresh = () => {
+      if (pending) return;
+      pending = setTimeout(() => {
+        pending = null;
+        fetchAllRef.current(true);
+      }, 2000);
+    };
+    source.addEventListener("occurrence", refresh);
+    source.addEventListener("issue", refresh);
+
+    const id = setInterval(() => {
+      if (source.readyState !== EventSource.OPEN) fetchAllRef.current(true);
+    }, 30000);
+    return () => {
+      source.close();
+      clearTimeout(pending);
+      clearInterval(id);
+    };
+  }, [autoRefresh, projectFilter]);
 
-  // reset to page 1 whenever the server-side filter changes
+  // reset to page 1 whenever a server-side filter changes
   useEffect(() => {
     setPage(1);
-  }, [projectFilter]);
+  }, [projectFilter, statusFilter, searchQuery]);
 
   // clamp page if the total shrinks (e.g. after deletes)
   useEffect(() => {
@@ -953,48 +1257,22 @@ export default function ErrorTrackingDashboard() {
     return [...new Set(errors.map((e) => e.error?.name || "Unknown"))].sort();
   }, [analytics, errors]);
 
-  /* ---------- client-side refine over the CURRENT page ---------- */
-  const filtered = useMemo(() => {
-    const q = searchTerm.toLowerCase();
-    const now = Date.now();
-    return errors
-      .filter((e) => {
-        const searchMatch =
-          !q ||
-          e.error?.message?.toLowerCase().includes(q) ||
-          e.error?.name?.toLowerCase().includes(q) ||
-          e.userId?.toLowerCase().includes(q) ||
-          e.projectId?.toLowerCase().includes(q) ||
-          e.deviceInfo?.employeeDetails?.code?.toLowerCase().includes(q) ||
-          e.deviceInfo?.employeeDetails?.name?.toLowerCase().includes(q);
-
-        const typeMatch =
-          !typeFilter || (e.error?.name || "Unknown") === typeFilter;
-        const statusMatch =
-          !statusFilter || (e.status || "pending") === statusFilter;
-
-        let dateMatch = true;
-        if (dateRange) {
-          const t = new Date(e.timestamp).getTime();
-          if (dateRange === "today")
-            dateMatch =
-              new Date(e.timestamp).toDateString() ===
-              new Date().toDateString();
-          else if (dateRange === "week") dateMatch = t >= now - 7 * 864e5;
-          else if (dateRange === "month") dateMatch = t >= now - 30 * 864e5;
-        }
-        return searchMatch && typeMatch && statusMatch && dateMatch;
-      })
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-  }, [errors, searchTerm, typeFilter, statusFilter, dateRange]);
+  /* ---------- the current page (already filtered + sorted by the server) ---------- */
+  const filtered = errors;
 
   /* ---------- chart data (full-DB from analytics, page fallback) ---------- */
   const charts = useMemo(() => {
     if (analytics) {
       return {
-        time: (analytics.timeSeries || []).map((d) => ({
-          label: d.label,
-          count: d.count,
+        // Buckets are UTC days
+        time: (timeSeries || []).map((b) => ({
+          label: new Date(b.t).toLocaleDateString("en-IN", {
+            timeZone: "UTC",
+            day: "2-digit",
+            month: "short",
+          }),
+          count: b.count,
+          users: b.users,
         })),
         byProject: (analytics.projectCounts || []).slice(0, 5).map((p) => ({
           name: p.projectId || "Unknown",
@@ -1040,7 +1318,7 @@ export default function ErrorTrackingDashboard() {
       byProject: tally((e) => e.projectId),
       byType: tally((e) => e.error?.name),
     };
-  }, [analytics, errors]);
+  }, [analytics, timeSeries, errors]);
 
   /* ---------- grouping (current page) ---------- */
   const groups = useMemo(() => {
@@ -1086,6 +1364,12 @@ export default function ErrorTrackingDashboard() {
     }
   }, []);
 
+  // ?error=<id> links (task descriptions) open straight into the detail
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get("error");
+    if (id) openDetail({ _id: id });
+  }, [openDetail]);
+
   /* ---------- mutations ---------- */
   const updateStatus = async (id, status) => {
     if (!ALLOWED_STATUSES.includes(status)) return;
@@ -1094,11 +1378,12 @@ export default function ErrorTrackingDashboard() {
       cur && cur._id === id ? { ...cur, status } : cur,
     );
     try {
-      await fetch(API, {
+      const res = await fetch(API, {
         method: "PATCH",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ id, status }),
       });
+      if (!res.ok) fetchAll(true); // roll back the optimistic update
     } catch (err) {
       console.error(err);
       fetchAll(true);
@@ -1211,6 +1496,11 @@ export default function ErrorTrackingDashboard() {
           updateStatus(id, "rejected");
           setSelectedError(null);
         }}
+        onIgnore={(id) => {
+          updateStatus(id, "ignored");
+          setSelectedError(null);
+        }}
+        onReopen={(id) => updateStatus(id, DEFAULT_STATUS)}
       />
     );
   }
@@ -1298,7 +1588,7 @@ export default function ErrorTrackingDashboard() {
 
       <main className="max-w-7xl mx-auto px-4 py-4 space-y-3">
         {/* ---------- Stat cards (from analytics) ---------- */}
-        <div className="grid grid-cols-2 lg:grid-cols-4 gap-2">
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-2">
           <StatCard label="Total" value={totalInDb} icon={FaBug} delay={0} />
           <StatCard
             label="On this page"
@@ -1318,6 +1608,13 @@ export default function ErrorTrackingDashboard() {
             icon={FaLayerGroup}
             delay={120}
           />
+          {/* Sampled out or over a rate limit / quota — never stored */}
+          <StatCard
+            label="Dropped"
+            value={analytics?.usage?.dropped ?? 0}
+            icon={FaBan}
+            delay={160}
+          />
         </div>
 
         {/* ---------- Charts (from analytics) ---------- */}
@@ -1335,9 +1632,13 @@ export default function ErrorTrackingDashboard() {
               <input
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search this page (message, type, project, employee…)"
+                placeholder='Search all errors — timeout, message:"x" browser:Chrome user:42 since:7d…'
+                title="Words search message + stack. Filters: project, issue, status, release, env, browser, os, device, country, assignee, message, stack, type, user, since, until. user: can't match emails in projects that scrub them — use the user id or username."
                 className="w-full pl-9 pr-3 py-1.5 bg-neutral-800 border border-white/10 rounded-md text-sm text-white placeholder-neutral-500 focus:outline-none focus:border-white/40"
               />
+              {searchError && (
+                <p className="mt-1 text-[11px] text-red-400">{searchError}</p>
+              )}
             </div>
             <div className="grid grid-cols-2 md:flex gap-2">
               <select
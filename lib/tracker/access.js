@@ -0,0 +1,63 @@
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Roles ───────────────────── */
+
+/**
+ * designer → read-only
+ * lead     → may also change/delete errors in projects they lead
+ * head     → everything, including project-wide and global deletes
+ *
+ * Routes resolve the session with getSession() and hand it in here, so
+ * this module stays free of Next.js request APIs.
+ */
+export const READ_ROLES = ["designer", "lead", "head"];
+export const WRITE_ROLES = ["lead", "head"];
+export const ADMIN_ROLES = ["head"];
+
+/**
+ * Returns null when `session` may proceed, otherwise { status, message }.
+ */
+export function checkRole(session, roles, action = "do this") {
+  if (!session) return { status: 401, message: "Unauthorized." };
+  if (!roles.includes(session.role)) {
+    return {
+      status: 403,
+      message: `Your role (${session.role}) is not allowed to ${action}.`,
+    };
+  }
+  return null;
+}
+
+/** projectIds whose settings list the user as a lead. */
+export async function ledProjectIds(db, session) {
+  const docs = await db
+    .collection(COLLECTIONS.projects)
+    .find({ leads: session.id }, { projection: { projectId: 1 } })
+    .toArray();
+  return docs.map((d) => d.projectId);
+}
+
+/**
+ * Narrow a write filter to what the session may touch. Heads are
+ * unrestricted; leads only reach errors in projects they lead.
+ * Returns { filter } or { status, message } when the filter reaches
+ * errors outside the user's projects.
+ */
+export async function scopeWriteFilter(db, session, filter) {
+  if (session.role === "head") return { filter };
+
+  const projectIds = await ledProjectIds(db, session);
+  const outside = await db
+    .collection(COLLECTIONS.errors)
+    .countDocuments(
+      { $and: [filter, { projectId: { $nin: projectIds } }] },
+      { limit: 1 },
+    );
+  if (outside) {
+    return {
+      status: 403,
+      message: "Leads can only change errors in projects they lead.",
+    };
+  }
+  return { filter: { $and: [filter, { projectId: { $in: projectIds } }] } };
+}
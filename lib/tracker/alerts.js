@@ -0,0 +1,507 @@
+import { ObjectId } from "mongodb";
+import { COLLECTIONS } from "./collections.js";
+import { enqueueJob, enqueueJobs } from "./jobs.js";
+import { errorPageUrl } from "./http.js";
+import { normalizeChannel, sendNotification } from "./notify.js";
+
+/* ───────────────────── Alert rules ───────────────────── */
+
+/**
+ * One document per rule in `errors.alert_rules`:
+ *   { projectId, name, enabled, trigger, channels (see notify.js),
+ *     cooldownMinutes, snoozedUntil, lastFiredAt, createdAt, createdBy,
+ *     updatedAt }
+ *
+ * Triggers:
+ *   { type: "newIssue" }                   an issue is seen for the first time
+ *   { type: "regression" }                 a resolved error comes back
+ *   { type: "frequency", threshold, windowMinutes }
+ *                                          more than `threshold` events in
+ *                                          the last `windowMinutes`
+ *   { type: "baseline", multiplier, windowMinutes, baselineDays, minEvents }
+ *                                          events in the window exceed
+ *                                          `multiplier` × the average for a
+ *                                          window of that length over the
+ *                                          previous `baselineDays` (and at
+ *                                          least `minEvents` happened)
+ *
+ * Rules are evaluated by a job queued once an occurrence has been grouped
+ * into its issue. A rule fires at most once per `cooldownMinutes` and not
+ * at all while snoozed; each firing becomes one delivery per channel in
+ * `errors.alert_deliveries`, sent and retried by the job queue.
+ */
+export const TRIGGER_TYPES = [
+  "newIssue",
+  "regression",
+  "frequency",
+  "baseline",
+];
+
+export const ALERT_EVALUATE_JOB = "alert.evaluate";
+export const ALERT_DELIVER_JOB = "alert.deliver";
+
+const DELIVERY_ATTEMPTS = 6;
+const MAX_CHANNELS = 10;
+const MAX_NAME_LENGTH = 100;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TRIGGER_FIELDS = {
+  newIssue: {},
+  regression: {},
+  frequency: {
+    threshold: { min: 1, max: 1e6, integer: true, default: 100 },
+    windowMinutes: { min: 1, max: 1440, integer: true, default: 5 },
+  },
+  baseline: {
+    multiplier: { min: 1.1, max: 100, integer: false, default: 3 },
+    windowMinutes: { min: 1, max: 1440, integer: true, default: 15 },
+    baselineDays: { min: 1, max: 30, integer: true, default: 7 },
+    minEvents: { min: 1, max: 1e6, integer: true, default: 10 },
+  },
+};
+
+export const DEFAULT_COOLDOWN_MINUTES = 30;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+function normalizeTrigger(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Invalid trigger: expected an object." };
+  }
+  const fields = TRIGGER_FIELDS[input.type];
+  if (!fields) {
+    return {
+      error: `Invalid trigger.type. Expected one of: ${TRIGGER_TYPES.join(", ")}.`,
+    };
+  }
+
+  const trigger = { type: input.type };
+  for (const [key, spec] of Object.entries(fields)) {
+    const value = input[key] ?? spec.default;
+    const valid =
+      typeof value === "number" &&
+      value >= spec.min &&
+      value <= spec.max &&
+      (!spec.integer || Number.isInteger(value));
+    if (!valid) {
+      return {
+        error:
+          `Invalid trigger.${key}: expected ` +
+          `${spec.integer ? "an integer" : "a number"} ${spec.min}–${spec.max}.`,
+      };
+    }
+    trigger[key] = value;
+  }
+  return { trigger };
+}
+
+/**
+ * Validate a rule. `previous` is the stored rule when updating: fields
+ * missing from `input` keep their current values. Returns { rule } with
+ * the settable fields or { error }.
+ */
+export function normalizeAlertRule(input, previous = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Invalid alert rule: expected an object." };
+  }
+
+  const { trigger, error: triggerError } = normalizeTrigger(
+    input.trigger ?? previous?.trigger,
+  );
+  if (triggerError) return { error: triggerError };
+
+  const name = input.name ?? previous?.name ?? trigger.type;
+  if (typeof name !== "string" || !name.trim()) {
+    return { error: "Invalid name: expected a non-empty string." };
+  }
+
+  const enabled = input.enabled ?? previous?.enabled ?? true;
+  if (typeof enabled !== "boolean") {
+    return { error: "Invalid enabled: expected a boolean." };
+  }
+
+  const cooldownMinutes =
+    input.cooldownMinutes ??
+    previous?.cooldownMinutes ??
+    DEFAULT_COOLDOWN_MINUTES;
+  if (
+    !Number.isInteger(cooldownMinutes) ||
+    cooldownMinutes < 0 ||
+    cooldownMinutes > MAX_COOLDOWN_MINUTES
+  ) {
+    return {
+      error: `Invalid cooldownMinutes: expected an integer 0–${MAX_COOLDOWN_MINUTES}.`,
+    };
+  }
+
+  const rawChannels = input.channels ?? previous?.channels;
+  if (
+    !Array.isArray(rawChannels) ||
+    !rawChannels.length ||
+    rawChannels.length > MAX_CHANNELS
+  ) {
+    return { error: `Invalid channels: expected 1–${MAX_CHANNELS} channels.` };
+  }
+  const channels = [];
+  for (const raw of rawChannels) {
+    const { channel, error } = normalizeChannel(raw, previous?.channels ?? []);
+    if (error) return { error };
+    channels.push(channel);
+  }
+
+  return {
+    rule: {
+      name: name.trim().slice(0, MAX_NAME_LENGTH),
+      enabled,
+      trigger,
+      channels,
+      cooldownMinutes,
+    },
+  };
+}
+
+/* ───────────────────── Evaluation ───────────────────── */
+
+function isSnoozed(rule, now) {
+  return Boolean(rule.snoozedUntil && new Date(rule.snoozedUntil) > now);
+}
+
+function inCooldown(rule, now) {
+  return Boolean(
+    rule.lastFiredAt &&
+      now - new Date(rule.lastFiredAt) < rule.cooldownMinutes * MINUTE_MS,
+  );
+}
+
+/**
+ * Queue an evaluation for a freshly grouped occurrence — only when the
+ * project has an enabled rule that could fire for it.
+ */
+export async function queueAlertEvaluation(
+  db,
+  { event, issueId, newIssue, regression },
+) {
+  const types = await db
+    .collection(COLLECTIONS.alertRules)
+    .distinct("trigger.type", { projectId: event.projectId, enabled: true });
+  const relevant = types.some(
+    (type) =>
+      type === "frequency" ||
+      type === "baseline" ||
+      (type === "newIssue" && newIssue) ||
+      (type === "regression" && Boolean(regression)),
+  );
+  if (!relevant) return null;
+
+  return enqueueJob(db, {
+    type: ALERT_EVALUATE_JOB,
+    payload: {
+      errorId: event._id,
+      projectId: event.projectId,
+      issueId,
+      newIssue,
+      regressed: Boolean(regression),
+    },
+  });
+}
+
+/** Returns the numbers behind a firing, or null when the rule stays quiet. */
+async function checkTrigger(db, rule, payload, now) {
+  const { trigger } = rule;
+  switch (trigger.type) {
+    case "newIssue":
+      return payload.newIssue ? {} : null;
+    case "regression":
+      return payload.regressed ? {} : null;
+    case "frequency": {
+      const count = await db.collection(COLLECTIONS.errors).countDocuments(
+        {
+          projectId: rule.projectId,
+          timestamp: {
+            $gt: new Date(now.getTime() - trigger.windowMinutes * MINUTE_MS),
+          },
+        },
+        { limit: trigger.threshold + 1 },
+      );
+      return count > trigger.threshold ? { count } : null;
+    }
+    case "baseline": {
+      const errors = db.collection(COLLECTIONS.errors);
+      const windowMs = trigger.windowMinutes * MINUTE_MS;
+      const windowStart = new Date(now.getTime() - windowMs);
+      const count = await errors.countDocuments({
+        projectId: rule.projectId,
+        timestamp: { $gt: windowStart },
+      });
+      if (count < trigger.minEvents) return null;
+
+      const spanMs = trigger.baselineDays * DAY_MS;
+      const before = await errors.countDocuments({
+        projectId: rule.projectId,
+        timestamp: {
+          $gt: new Date(windowStart.getTime() - spanMs),
+          $lte: windowStart,
+        },
+      });
+      const baseline = (before * windowMs) / spanMs;
+      if (count <= trigger.multiplier * baseline) return null;
+      return { count, baseline: Math.round(baseline * 100) / 100 };
+    }
+    default:
+      return null;
+  }
+}
+
+function truncate(text, length) {
+  const value = String(text ?? "");
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/** The payload every channel receives (webhooks get it verbatim). */
+function buildAlert(rule, { issue, occurrence, stats }, now, test = false) {
+  const { trigger, projectId } = rule;
+  const what = issue ? truncate(`${issue.name}: ${issue.message}`, 140) : null;
+  const titles = {
+    newIssue: `New issue in ${projectId}${what ? `: ${what}` : ""}`,
+    regression: `Regression in ${projectId}${what ? `: ${what}` : ""}`,
+    frequency: `Event spike in ${projectId}`,
+    baseline: `Error rate in ${projectId} above baseline`,
+  };
+
+  const lines = [];
+  if (test) lines.push("This is a test alert — nothing happened.");
+  if (trigger.type === "frequency" && stats) {
+    lines.push(
+      `${stats.count} events in the last ${trigger.windowMinutes} minutes ` +
+        `(alerting above ${trigger.threshold}).`,
+    );
+  }
+  if (trigger.type === "baseline" && stats) {
+    lines.push(
+      `${stats.count} events in the last ${trigger.windowMinutes} minutes; ` +
+        `usually ${stats.baseline} (alerting above ${trigger.multiplier}×).`,
+    );
+  }
+  if (issue) {
+    lines.push(`${issue.name}: ${truncate(issue.message, 500)}`);
+    if (issue.culprit) lines.push(`in ${issue.culprit}`);
+    const since = new Date(issue.firstSeen).toISOString();
+    lines.push(`${issue.count} event(s) since ${since}`);
+  }
+  if (occurrence?.release) lines.push(`Release: ${occurrence.release}`);
+  if (occurrence?.environment) {
+    lines.push(`Environment: ${occurrence.environment}`);
+  }
+
+  return {
+    id: String(new ObjectId()),
+    test,
+    title: `${test ? "[Test] " : ""}${titles[trigger.type]}`,
+    text: lines.join("\n"),
+    url: errorPageUrl(occurrence ? { error: String(occurrence._id) } : {}),
+    firedAt: now,
+    projectId,
+    rule: { id: rule._id, name: rule.name, trigger },
+    issue: issue && {
+      id: issue._id,
+      fingerprint: issue.fingerprint,
+      name: issue.name,
+      message: issue.message,
+      culprit: issue.culprit ?? null,
+      count: issue.count,
+      firstSeen: issue.firstSeen,
+      lastSeen: issue.lastSeen,
+    },
+    occurrence: occurrence && {
+      id: occurrence._id,
+      message: occurrence.error?.message ?? null,
+      release: occurrence.release ?? null,
+      environment: occurrence.environment ?? null,
+      timestamp: occurrence.timestamp,
+    },
+    stats: stats && Object.keys(stats).length ? stats : null,
+  };
+}
+
+function newDelivery(rule, alert, channel, now) {
+  return {
+    _id: new ObjectId(),
+    alertId: alert.id,
+    ruleId: rule._id,
+    projectId: rule.projectId,
+    channel,
+    alert,
+    test: alert.test,
+    status: "pending",
+    attempts: [],
+    createdAt: now,
+    deliveredAt: null,
+  };
+}
+
+/** Job handler for ALERT_EVALUATE_JOB. */
+export async function evaluateAlerts(db, job) {
+  const { payload } = job;
+  const now = new Date();
+  const rulesCollection = db.collection(COLLECTIONS.alertRules);
+  const rules = await rulesCollection
+    .find({ projectId: payload.projectId, enabled: true })
+    .toArray();
+
+  let context;
+  for (const rule of rules) {
+    if (isSnoozed(rule, now) || inCooldown(rule, now)) continue;
+    const stats = await checkTrigger(db, rule, payload, now);
+    if (!stats) continue;
+
+    // Claim the firing — concurrent evaluations can't both get through
+    const cooldownStart = new Date(
+      now.getTime() - rule.cooldownMinutes * MINUTE_MS,
+    );
+    const { modifiedCount } = await rulesCollection.updateOne(
+      {
+        _id: rule._id,
+        $or: [{ lastFiredAt: null }, { lastFiredAt: { $lte: cooldownStart } }],
+      },
+      { $set: { lastFiredAt: now } },
+    );
+    if (!modifiedCount) continue;
+
+    let deliveries = [];
+    try {
+      context ??= await loadContext(db, payload);
+      const alert = buildAlert(rule, { ...context, stats }, now);
+      deliveries = rule.channels.map((channel) =>
+        newDelivery(rule, alert, channel, now),
+      );
+      await db.collection(COLLECTIONS.alertDeliveries).insertMany(deliveries);
+      await enqueueJobs(
+        db,
+        deliveries.map((d) => ({
+          type: ALERT_DELIVER_JOB,
+          payload: { deliveryId: d._id },
+          maxAttempts: DELIVERY_ATTEMPTS,
+        })),
+      );
+    } catch (err) {
+      // Hand the firing back, or the retried job would find the rule in
+      // its cooldown and the alert would never go out
+      await db
+        .collection(COLLECTIONS.alertDeliveries)
+        .deleteMany({ _id: { $in: deliveries.map((d) => d._id) } });
+      await rulesCollection.updateOne(
+        { _id: rule._id, lastFiredAt: now },
+        { $set: { lastFiredAt: rule.lastFiredAt ?? null } },
+      );
+      throw err;
+    }
+  }
+}
+
+async function loadContext(db, { errorId, issueId }) {
+  const [occurrence, issue] = await Promise.all([
+    errorId
+      ? db.collection(COLLECTIONS.errors).findOne(
+          { _id: new ObjectId(errorId) },
+          {
+            projection: { error: 1, release: 1, environment: 1, timestamp: 1 },
+          },
+        )
+      : null,
+    issueId
+      ? db
+          .collection(COLLECTIONS.issues)
+          .findOne({ _id: new ObjectId(issueId) })
+      : null,
+  ]);
+  return { occurrence, issue };
+}
+
+/* ───────────────────── Delivery ───────────────────── */
+
+/**
+ * Job handler for ALERT_DELIVER_JOB. Every attempt is logged on the
+ * delivery; a failure throws so the queue retries it with backoff, and
+ * the last allowed attempt marks the delivery "dead".
+ */
+export async function deliverAlert(db, job) {
+  const deliveries = db.collection(COLLECTIONS.alertDeliveries);
+  const delivery = await deliveries.findOne({
+    _id: new ObjectId(job.payload.deliveryId),
+  });
+  if (!delivery || delivery.status === "delivered") return;
+
+  const started = Date.now();
+  const result = await sendNotification(delivery.channel, delivery.alert);
+  const at = new Date();
+  const final = job.attempts >= job.maxAttempts;
+
+  await deliveries.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: result.ok ? "delivered" : final ? "dead" : "retrying",
+        deliveredAt: result.ok ? at : null,
+      },
+      $push: {
+        attempts: {
+          $each: [
+            {
+              at,
+              ok: result.ok,
+              status: result.status ?? null,
+              error: result.error ?? null,
+              durationMs: at.getTime() - started,
+            },
+          ],
+          $slice: -20,
+        },
+      },
+    },
+  );
+  if (!result.ok) throw new Error(result.error);
+}
+
+/**
+ * Send a test alert through every channel of `rule` right away (no
+ * retries) and log it. Returns one { channel, ok, status, error } each.
+ */
+export async function sendTestAlert(db, rule) {
+  const now = new Date();
+  const alert = buildAlert(
+    rule,
+    { issue: null, occurrence: null, stats: null },
+    now,
+    true,
+  );
+
+  const deliveries = await Promise.all(
+    rule.channels.map(async (channel) => {
+      const delivery = newDelivery(rule, alert, channel, now);
+      const started = Date.now();
+      const result = await sendNotification(channel, alert);
+      const at = new Date();
+      return {
+        ...delivery,
+        status: result.ok ? "delivered" : "dead",
+        deliveredAt: result.ok ? at : null,
+        attempts: [
+          {
+            at,
+            ok: result.ok,
+            status: result.status ?? null,
+            error: result.error ?? null,
+            durationMs: at.getTime() - started,
+          },
+        ],
+      };
+    }),
+  );
+  await db.collection(COLLECTIONS.alertDeliveries).insertMany(deliveries);
+  return deliveries;
+}
+
+export const ALERT_HANDLERS = {
+  [ALERT_EVALUATE_JOB]: evaluateAlerts,
+  [ALERT_DELIVER_JOB]: deliverAlert,
+};
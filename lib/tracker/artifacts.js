@@ -0,0 +1,79 @@
+import { createHash } from "crypto";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Release artifacts (source maps & sources) ───────────────────── */
+
+/**
+ * Uploaded files live in `errors.artifacts`:
+ *   { projectId, release, name, kind: "sourcemap" | "source", content,
+ *     size, sha1, createdAt, uploadedBy }
+ *
+ * `name` follows the "~/path" convention: the URL path the browser loaded
+ * the file from, without origin, so one upload serves every host/CDN.
+ */
+
+// Mongo documents top out at 16 MB; leave room for the other fields.
+export const MAX_ARTIFACT_BYTES = 15 * 1024 * 1024;
+
+export function artifactKind(name) {
+  return name.endsWith(".map") ? "sourcemap" : "source";
+}
+
+/** "main.js.map" + "~/static/js/" → "~/static/js/main.js.map" */
+export function artifactName(fileName, prefix = "~/") {
+  if (fileName.startsWith("~/") || /^[a-z][\w+.-]*:\/\//i.test(fileName)) {
+    return fileName;
+  }
+  return `${prefix.replace(/\/+$/, "")}/${fileName.replace(/^\/+/, "")}`;
+}
+
+/**
+ * Names an uploaded file could have been stored under for a URL seen in a
+ * stack frame or source map: the full URL and its "~/path" form.
+ */
+export function artifactCandidates(url) {
+  const out = [];
+  const bare = String(url).replace(/[?#].*$/, "");
+  out.push(bare);
+  try {
+    const { protocol, pathname } = new URL(bare);
+    if (protocol === "http:" || protocol === "https:") {
+      out.push(`~${pathname}`);
+    }
+  } catch {
+    // not an absolute URL — the bare name is all we can try
+  }
+  return out;
+}
+
+/**
+ * Newest artifact stored under any of `names`. With a release the match is
+ * exact; without one (older clients) the latest upload wins.
+ */
+export function findArtifact(db, { projectId, release, names }) {
+  const query = { projectId, name: { $in: names } };
+  if (release) query.release = release;
+  return db
+    .collection(COLLECTIONS.artifacts)
+    .findOne(query, { sort: { createdAt: -1 } });
+}
+
+export async function saveArtifact(db, artifact) {
+  const now = new Date();
+  const doc = {
+    ...artifact,
+    kind: artifactKind(artifact.name),
+    size: Buffer.byteLength(artifact.content),
+    sha1: createHash("sha1").update(artifact.content).digest("hex"),
+    createdAt: now,
+  };
+  // Re-uploading the same file for a release replaces it
+  await db
+    .collection(COLLECTIONS.artifacts)
+    .replaceOne(
+      { projectId: doc.projectId, release: doc.release, name: doc.name },
+      doc,
+      { upsert: true },
+    );
+  return doc;
+}
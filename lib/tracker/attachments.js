@@ -0,0 +1,307 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, rm, writeFile } from "fs/promises";
+import path from "path";
+import { GridFSBucket, ObjectId } from "mongodb";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Attachments (screenshots & files) ───────────────────── */
+
+/**
+ * Bytes live in a pluggable store; `errors.attachments` keeps the metadata
+ *   { _id, errorId, projectId, kind: "screenshot" | "file", name,
+ *     contentType, size, sha1, store, createdAt }
+ * and the occurrence only carries a small summary under `attachments`.
+ *
+ * The store is picked with PIXPRO_ATTACHMENT_STORE ("gridfs" by default, or
+ * "fs" with PIXPRO_ATTACHMENT_DIR). Each record remembers its store, so
+ * switching later doesn't orphan what was already written.
+ */
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 5;
+
+export const ATTACHMENT_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+  "text/plain",
+  "application/json",
+];
+
+// Leading bytes of each image type — the declared type has to match.
+const IMAGE_SIGNATURES = {
+  "image/png": [[0x89, 0x50, 0x4e, 0x47]],
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/gif": [[0x47, 0x49, 0x46, 0x38]],
+  "image/webp": [[0x52, 0x49, 0x46, 0x46]], // "RIFF"
+};
+
+const MAX_NAME = 200;
+
+/* ── Stores ── */
+
+const GRIDFS_BUCKET = "attachments";
+
+const STORES = {
+  gridfs: {
+    async put(db, id, data, { name, contentType }) {
+      const bucket = new GridFSBucket(db, { bucketName: GRIDFS_BUCKET });
+      await new Promise((resolve, reject) => {
+        bucket
+          .openUploadStreamWithId(id, name, { metadata: { contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(data);
+      });
+    },
+    async read(db, id) {
+      const bucket = new GridFSBucket(db, { bucketName: GRIDFS_BUCKET });
+      const chunks = [];
+      try {
+        for await (const chunk of bucket.openDownloadStream(id)) {
+          chunks.push(chunk);
+        }
+      } catch (err) {
+        if (/FileNotFound/.test(err?.message)) return null;
+        throw err;
+      }
+      return Buffer.concat(chunks);
+    },
+    async remove(db, id) {
+      const bucket = new GridFSBucket(db, { bucketName: GRIDFS_BUCKET });
+      await bucket.delete(id).catch(() => {}); // already gone is fine
+    },
+  },
+
+  fs: {
+    dir() {
+      return process.env.PIXPRO_ATTACHMENT_DIR || path.resolve("attachments");
+    },
+    async put(db, id, data) {
+      await mkdir(this.dir(), { recursive: true });
+      await writeFile(path.join(this.dir(), String(id)), data);
+    },
+    async read(db, id) {
+      try {
+        return await readFile(path.join(this.dir(), String(id)));
+      } catch (err) {
+        if (err?.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async remove(db, id) {
+      await rm(path.join(this.dir(), String(id)), { force: true });
+    },
+  },
+};
+
+function activeStore() {
+  const name = process.env.PIXPRO_ATTACHMENT_STORE || "gridfs";
+  if (!STORES[name]) throw new Error(`Unknown attachment store "${name}".`);
+  return name;
+}
+
+/* ── Validation ── */
+
+function matchesSignature(data, contentType) {
+  const signatures = IMAGE_SIGNATURES[contentType];
+  if (!signatures) return true; // text types have no magic number
+  return signatures.some((sig) => sig.every((byte, i) => data[i] === byte));
+}
+
+/**
+ * Decoded base64, or only its (estimated) size when that is over the
+ * limit — a rejected payload isn't worth buffering.
+ */
+function decodeBase64(value) {
+  const size = Math.floor((value.length * 3) / 4);
+  if (size > MAX_ATTACHMENT_BYTES) return { size, data: null };
+  return { data: Buffer.from(value, "base64") };
+}
+
+/** "data:image/png;base64,…" → { contentType, data } or null. */
+function parseDataUrl(value) {
+  const m = /^data:([\w.+/-]+)?(;[\w=-]+)*;base64,(.*)$/s.exec(value);
+  if (!m) return null;
+  return {
+    contentType: m[1] || "application/octet-stream",
+    ...decodeBase64(m[3]),
+  };
+}
+
+/**
+ * Check one candidate. Returns { attachment } ready for storeAttachments,
+ * or { rejected: { name, reason } }.
+ */
+function validateOne({ kind, name, contentType, size, data }) {
+  const fallback = kind === "screenshot" ? "screenshot" : "file";
+  name = String(name || fallback).slice(0, MAX_NAME);
+  contentType = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  size = size ?? data?.length ?? 0;
+
+  if (!size) return { rejected: { name, reason: "Empty file." } };
+  if (size > MAX_ATTACHMENT_BYTES) {
+    return { rejected: { name, reason: "File too large." } };
+  }
+  if (!data) return { rejected: { name, reason: "Unreadable file." } };
+  if (!ATTACHMENT_TYPES.includes(contentType)) {
+    return { rejected: { name, reason: `Type ${contentType} not allowed.` } };
+  }
+  if (kind === "screenshot" && !contentType.startsWith("image/")) {
+    return { rejected: { name, reason: "Screenshot must be an image." } };
+  }
+  if (!matchesSignature(data, contentType)) {
+    return {
+      rejected: { name, reason: "Content does not match its type." },
+    };
+  }
+  return { attachment: { kind, name, contentType, data } };
+}
+
+/** base64 or data-URL payload → { contentType, data } */
+function decodeInline(value, contentType) {
+  const parsed = parseDataUrl(value);
+  if (parsed) {
+    return { ...parsed, contentType: contentType || parsed.contentType };
+  }
+  return { contentType, ...decodeBase64(value) };
+}
+
+/**
+ * Gather attachments from an ingest request:
+ *   JSON      – `screenshot` as a base64 data URL, and
+ *               `attachments: [{ name, contentType, data }]` (base64 / data URL)
+ *   multipart – "screenshot" and "attachment" file fields
+ *
+ * Invalid or surplus files are rejected individually; the event itself is
+ * still stored. Returns { attachments, rejected }.
+ */
+export async function readAttachments(body, form = null) {
+  const candidates = [];
+
+  if (typeof body?.screenshot === "string") {
+    candidates.push({
+      kind: "screenshot",
+      name: "screenshot",
+      ...decodeInline(body.screenshot, null),
+    });
+  }
+
+  for (const a of Array.isArray(body?.attachments) ? body.attachments : []) {
+    if (!a || typeof a.data !== "string") continue;
+    candidates.push({
+      kind: "file",
+      name: a.name,
+      ...decodeInline(a.data, a.contentType),
+    });
+  }
+
+  if (form) {
+    for (const [field, kind] of [
+      ["screenshot", "screenshot"],
+      ["attachment", "file"],
+    ]) {
+      for (const file of form.getAll(field)) {
+        if (typeof file === "string") continue;
+        candidates.push({
+          kind,
+          name: file.name,
+          contentType: file.type,
+          size: file.size,
+          // Don't buffer something that is going to be rejected anyway
+          data:
+            file.size > MAX_ATTACHMENT_BYTES
+              ? null
+              : Buffer.from(await file.arrayBuffer()),
+        });
+      }
+    }
+  }
+
+  const attachments = [];
+  const rejected = [];
+  for (const candidate of candidates) {
+    const result = validateOne(candidate);
+    if (result.rejected) {
+      rejected.push(result.rejected);
+    } else if (attachments.length >= MAX_ATTACHMENTS) {
+      rejected.push({
+        name: result.attachment.name,
+        reason: "Too many attachments.",
+      });
+    } else {
+      attachments.push(result.attachment);
+    }
+  }
+  return { attachments, rejected };
+}
+
+/* ── Persistence ── */
+
+/**
+ * Write validated attachments for one occurrence. Returns the summaries to
+ * store on the error document.
+ */
+export async function storeAttachments(
+  db,
+  { errorId, projectId, attachments },
+) {
+  if (!attachments.length) return [];
+  const store = activeStore();
+  const summaries = [];
+
+  for (const { kind, name, contentType, data } of attachments) {
+    const _id = new ObjectId();
+    await STORES[store].put(db, _id, data, { name, contentType });
+    const doc = {
+      _id,
+      errorId,
+      projectId,
+      kind,
+      name,
+      contentType,
+      size: data.length,
+      sha1: createHash("sha1").update(data).digest("hex"),
+      store,
+      createdAt: new Date(),
+    };
+    await db.collection(COLLECTIONS.attachments).insertOne(doc);
+    summaries.push({ id: _id, kind, name, contentType, size: doc.size });
+  }
+  return summaries;
+}
+
+/**
+ * Metadata plus bytes for the download route, or null — also when the
+ * store lost the bytes (a wiped attachment directory, say).
+ */
+export async function readAttachment(db, id) {
+  const meta = await db
+    .collection(COLLECTIONS.attachments)
+    .findOne({ _id: id });
+  if (!meta) return null;
+  const data = await STORES[meta.store].read(db, meta._id);
+  return data ? { meta, data } : null;
+}
+
+/**
+ * Remove attachments matching a metadata filter (e.g. { errorId: { $in } }
+ * or { projectId }) from their store and from `errors.attachments`.
+ * Returns how many were removed.
+ */
+export async function deleteAttachments(db, filter) {
+  const collection = db.collection(COLLECTIONS.attachments);
+  const docs = await collection
+    .find(filter, { projection: { _id: 1, store: 1 } })
+    .toArray();
+  for (const doc of docs) {
+    await STORES[doc.store]?.remove(db, doc._id);
+  }
+  if (docs.length) {
+    await collection.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+  }
+  return docs.length;
+}
@@ -0,0 +1,25 @@
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Audit trail ───────────────────── */
+
+/**
+ * Append one entry to `errors.audit`. Callers log *after* the action ran
+ * so the entry carries its outcome (e.g. how many records went away).
+ * Never throws: a failed audit write must not turn a completed delete
+ * into a 500.
+ */
+export async function writeAudit(db, { action, session, target, result }) {
+  try {
+    await db.collection(COLLECTIONS.audit).insertOne({
+      action,
+      actor: session
+        ? { id: session.id, name: session.name ?? null, role: session.role }
+        : null,
+      target: target ?? null,
+      result: result ?? null,
+      at: new Date(),
+    });
+  } catch (err) {
+    console.error("[pixpro] Failed to write audit entry", err);
+  }
+}
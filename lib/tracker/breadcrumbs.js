@@ -0,0 +1,91 @@
+/* ───────────────────── Breadcrumbs ───────────────────── */
+
+/**
+ * What the user did right before the error. Clients send an array of
+ *   { type, timestamp, message?, level?, data? }
+ * where `type` is one of BREADCRUMB_TYPES. Only whitelisted `data` fields
+ * survive, every string is capped, and only the newest MAX_BREADCRUMBS
+ * are kept — the trail leading up to the crash is what matters.
+ */
+export const BREADCRUMB_TYPES = ["navigation", "click", "console", "fetch"];
+export const MAX_BREADCRUMBS = 100;
+
+const CONSOLE_LEVELS = ["debug", "log", "info", "warn", "error"];
+const MAX_MESSAGE = 500;
+const MAX_FIELD = 300;
+
+/** Allowed `data` fields per type, with the coercion for each. */
+const DATA_FIELDS = {
+  navigation: { from: "string", to: "string" },
+  click: { selector: "string", text: "string" },
+  console: {},
+  fetch: {
+    method: "string",
+    url: "string",
+    status: "number",
+    durationMs: "number",
+  },
+};
+
+function capString(value, max) {
+  if (typeof value !== "string") return null;
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function toDate(value) {
+  if (value == null) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+function pickData(type, data) {
+  if (!data || typeof data !== "object") return null;
+  const out = {};
+  for (const [field, kind] of Object.entries(DATA_FIELDS[type])) {
+    const value = data[field];
+    if (kind === "string" && typeof value === "string") {
+      out[field] = capString(value, MAX_FIELD);
+    } else if (kind === "number" && Number.isFinite(Number(value))) {
+      out[field] = Number(value);
+    }
+  }
+  if (type === "fetch" && out.method) out.method = out.method.toUpperCase();
+  return Object.keys(out).length ? out : null;
+}
+
+function normalizeOne(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (!BREADCRUMB_TYPES.includes(raw.type)) return null;
+
+  const timestamp = toDate(raw.timestamp);
+  if (!timestamp) return null;
+
+  const crumb = {
+    type: raw.type,
+    timestamp,
+    message: capString(raw.message, MAX_MESSAGE),
+    data: pickData(raw.type, raw.data),
+  };
+  if (raw.type === "console") {
+    crumb.level = CONSOLE_LEVELS.includes(raw.level) ? raw.level : "log";
+  }
+  return crumb;
+}
+
+/**
+ * Validated, oldest-first breadcrumbs plus how many were dropped (invalid
+ * or over the limit). A missing or non-array input yields no breadcrumbs.
+ */
+export function normalizeBreadcrumbs(raw) {
+  if (!Array.isArray(raw)) return { breadcrumbs: [], dropped: 0 };
+
+  // Don't even look at more than a few times the limit
+  const candidates = raw.slice(-MAX_BREADCRUMBS * 5);
+  const valid = candidates
+    .map(normalizeOne)
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const breadcrumbs = valid.slice(-MAX_BREADCRUMBS);
+  return { breadcrumbs, dropped: raw.length - breadcrumbs.length };
+}
@@ -0,0 +1,95 @@
+import { USER_KEY } from "./timeseries.js";
+
+/* ───────────────────── Breakdowns ───────────────────── */
+
+/**
+ * Facets for GET /api/error/analytics?breakdowns=…: occurrences grouped by
+ * parsed user agent (see useragent.js) and by the stored geocode. Events
+ * stored before user agents were parsed fall back to the free-form
+ * deviceInfo.browser / deviceInfo.os strings, without a version.
+ *
+ * Each row: { ...group fields, count, users, lastSeen, share }.
+ */
+export const BREAKDOWNS = {
+  browser: {
+    name: { $ifNull: ["$ua.browser", "$deviceInfo.browser"] },
+    version: "$ua.browserMajor",
+  },
+  os: {
+    name: { $ifNull: ["$ua.os", "$deviceInfo.os"] },
+    version: "$ua.osMajor",
+  },
+  device: { type: "$ua.deviceType" },
+  country: { country: "$country", countryCode: "$countryCode" },
+  state: { country: "$country", state: "$state" },
+  city: { country: "$country", state: "$state", city: "$city" },
+};
+
+/**
+ * Comma-separated facet names, or "all". Returns { names } (empty when
+ * the parameter is absent — breakdowns are opt-in) or { error }.
+ */
+export function parseBreakdowns(param) {
+  if (!param) return { names: [] };
+  if (param === "all") return { names: Object.keys(BREAKDOWNS) };
+  const names = [...new Set(param.split(",").map((n) => n.trim()))].filter(
+    Boolean,
+  );
+  const unknown = names.filter((n) => !BREAKDOWNS[n]);
+  if (unknown.length) {
+    return {
+      error:
+        `Invalid breakdowns: ${unknown.join(", ")}. ` +
+        `Expected "all" or any of: ${Object.keys(BREAKDOWNS).join(", ")}.`,
+    };
+  }
+  return { names };
+}
+
+/** One $facet stage computing the requested breakdowns, top `limit` each. */
+export function breakdownPipeline(match, names, limit) {
+  const facets = {};
+  for (const name of names) {
+    const group = BREAKDOWNS[name];
+    facets[name] = [
+      {
+        $group: {
+          _id: group,
+          count: { $sum: 1 },
+          users: { $addToSet: USER_KEY },
+          lastSeen: { $max: "$timestamp" },
+        },
+      },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          ...Object.fromEntries(
+            Object.keys(group).map((field) => [field, `$_id.${field}`]),
+          ),
+          count: 1,
+          users: {
+            $size: {
+              $filter: { input: "$users", cond: { $ne: ["$$this", null] } },
+            },
+          },
+          lastSeen: 1,
+        },
+      },
+    ];
+  }
+  return [{ $match: match }, { $facet: facets }];
+}
+
+/** Add each row's share of `total` (0–1, 4 decimals). */
+export function withShares(breakdowns, total) {
+  const out = {};
+  for (const [name, rows] of Object.entries(breakdowns)) {
+    out[name] = rows.map((row) => ({
+      ...row,
+      share: total ? Math.round((row.count / total) * 1e4) / 1e4 : 0,
+    }));
+  }
+  return out;
+}
@@ -0,0 +1,143 @@
+/* ───────────────────── In-process LRU cache ───────────────────── */
+
+/**
+ * Small LRU with a TTL, an optional byte budget and de-duplication of
+ * concurrent loads: while one caller is loading a key, everyone else
+ * asking for it awaits the same promise instead of starting their own.
+ *
+ * Values are kept per process — on serverless every warm instance has its
+ * own cache, which is fine for data that is expensive to build but cheap
+ * to rebuild.
+ */
+export class LruCache {
+  constructor({
+    maxEntries = 100,
+    maxBytes = Infinity,
+    ttlMs = 10 * 60 * 1000,
+    sizeOf = () => 0,
+    onEvict = null,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.sizeOf = sizeOf;
+    this.onEvict = onEvict;
+
+    this.entries = new Map(); // key → { value, size, expiresAt }
+    this.inflight = new Map(); // key → Promise
+    this.bytes = 0;
+    this.counters = {
+      hits: 0,
+      misses: 0,
+      loads: 0,
+      dedupedLoads: 0,
+      loadErrors: 0,
+      evictions: 0,
+      expirations: 0,
+    };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.counters.expirations++;
+      this.delete(key);
+      return undefined;
+    }
+    // Re-insert so Map order doubles as recency order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /** `ttlMs` overrides the default, e.g. shorter for negative results. */
+  set(key, value, ttlMs = this.ttlMs) {
+    this.delete(key);
+    const size = value == null ? 0 : this.sizeOf(value);
+    if (size > this.maxBytes) return; // would evict everything else
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+    this.bytes += size;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.counters.evictions++;
+      this.delete(oldest);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    try {
+      this.onEvict?.(entry.value);
+    } catch {
+      // eviction hooks must never break a request
+    }
+  }
+
+  /** Drop every entry whose key starts with `prefix`. Returns the count. */
+  deletePrefix(prefix) {
+    const keys = [...this.entries.keys()].filter((k) => k.startsWith(prefix));
+    for (const key of keys) this.delete(key);
+    return keys.length;
+  }
+
+  clear() {
+    for (const key of [...this.entries.keys()]) this.delete(key);
+  }
+
+  /**
+   * Cached value for `key`, or the result of `loader()` (cached for
+   * `ttlFor(value)` ms). `undefined` from the loader is not cached.
+   */
+  async getOrLoad(key, loader, ttlFor = () => this.ttlMs) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      this.counters.hits++;
+      return cached;
+    }
+    this.counters.misses++;
+
+    const pending = this.inflight.get(key);
+    if (pending) {
+      this.counters.dedupedLoads++;
+      return pending;
+    }
+
+    this.counters.loads++;
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (value !== undefined) this.set(key, value, ttlFor(value));
+        return value;
+      } catch (err) {
+        this.counters.loadErrors++;
+        throw err;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  stats() {
+    const { hits, misses } = this.counters;
+    return {
+      ...this.counters,
+      hitRate: hits + misses ? hits / (hits + misses) : null,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      inflight: this.inflight.size,
+      maxEntries: this.maxEntries,
+      maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+      ttlMs: this.ttlMs,
+    };
+  }
+}
@@ -0,0 +1,137 @@
+/* ───────────────────── Collections & Indexes ───────────────────── */
+
+/**
+ * Every error-tracker collection lives in the "errors" database.
+ * Helpers in lib/tracker take the `db` handle instead of importing the
+ * client themselves, so they also run outside Next.js.
+ */
+export const ERRORS_DB = "errors";
+
+export const COLLECTIONS = {
+  errors: "pixpro",
+  issues: "issues",
+  projects: "projects",
+  audit: "audit",
+  artifacts: "artifacts",
+  jobs: "jobs",
+  attachments: "attachments",
+  usage: "usage",
+  rateLimits: "rate_limits",
+  archives: "archives",
+  alertRules: "alert_rules",
+  alertDeliveries: "alert_deliveries",
+  comments: "comments",
+  workers: "workers",
+};
+
+const INDEXES = {
+  [COLLECTIONS.errors]: [
+    { key: { timestamp: -1 } },
+    { key: { timestamp: -1, _id: -1 } }, // cursor pages (query.js LIST_SORT)
+    { key: { receivedAt: 1, _id: 1 } }, // live feed polling (live.js)
+    { key: { projectId: 1, timestamp: -1 } },
+    { key: { fingerprint: 1, timestamp: -1 } },
+    { key: { fingerprint: 1, projectId: 1, status: 1 } },
+    { key: { issueId: 1, timestamp: -1 } },
+    { key: { release: 1, timestamp: -1 } },
+    { key: { environment: 1, timestamp: -1 } },
+    { key: { projectId: 1, release: 1, timestamp: -1 } },
+    { key: { taskId: 1 } }, // task status sync (tasks.js)
+    { key: { "assignee.id": 1, timestamp: -1 } },
+    // Time-series / analytics filters
+    { key: { projectId: 1, issueId: 1, timestamp: -1 } },
+    { key: { countryCode: 1, timestamp: -1 } },
+    { key: { "deviceInfo.browser": 1, timestamp: -1 } },
+    { key: { "ua.browser": 1, "ua.browserMajor": 1, timestamp: -1 } },
+    { key: { "ua.os": 1, "ua.osMajor": 1, timestamp: -1 } },
+    // ?q= full-text search (a collection has at most one text index)
+    {
+      key: { "error.message": "text", "error.stack": "text" },
+      weights: { "error.message": 5, "error.stack": 1 },
+      name: "error_text",
+    },
+  ],
+  [COLLECTIONS.issues]: [
+    { key: { fingerprint: 1 }, unique: true },
+    { key: { lastSeen: -1 } },
+    { key: { projects: 1, lastSeen: -1 } },
+    { key: { updatedAt: 1, _id: 1 } }, // live feed polling (live.js)
+  ],
+  [COLLECTIONS.projects]: [
+    { key: { projectId: 1 }, unique: true },
+    {
+      key: { "keys.publicKey": 1 },
+      unique: true,
+      partialFilterExpression: { "keys.publicKey": { $exists: true } },
+    },
+    { key: { leads: 1 } },
+    { key: { "uploadTokens.hash": 1 } },
+  ],
+  [COLLECTIONS.audit]: [{ key: { at: -1 } }, { key: { action: 1, at: -1 } }],
+  [COLLECTIONS.artifacts]: [
+    { key: { projectId: 1, release: 1, name: 1 }, unique: true },
+    { key: { projectId: 1, name: 1, createdAt: -1 } },
+  ],
+  [COLLECTIONS.attachments]: [
+    { key: { errorId: 1 } },
+    { key: { projectId: 1, createdAt: -1 } },
+  ],
+  [COLLECTIONS.usage]: [
+    { key: { projectId: 1, period: 1, start: -1 }, unique: true },
+    { key: { period: 1, start: -1 } },
+  ],
+  // One-minute counter windows delete themselves once they have passed
+  [COLLECTIONS.rateLimits]: [{ key: { expiresAt: 1 }, expireAfterSeconds: 0 }],
+  // Worker metrics snapshots (metrics.js) outlive a stopped worker briefly
+  [COLLECTIONS.workers]: [
+    { key: { reportedAt: 1 }, expireAfterSeconds: 10 * 60 },
+  ],
+  [COLLECTIONS.archives]: [
+    { key: { projectId: 1, kind: 1, createdAt: -1 } },
+    { key: { createdAt: -1 } },
+  ],
+  [COLLECTIONS.alertRules]: [{ key: { projectId: 1, enabled: 1 } }],
+  // The delivery log keeps 30 days
+  [COLLECTIONS.alertDeliveries]: [
+    { key: { ruleId: 1, createdAt: -1 } },
+    { key: { projectId: 1, createdAt: -1 } },
+    { key: { createdAt: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 },
+  ],
+  [COLLECTIONS.comments]: [
+    { key: { errorId: 1, createdAt: 1 } },
+    { key: { issueId: 1, createdAt: 1 } },
+  ],
+  [COLLECTIONS.jobs]: [
+    { key: { type: 1, status: 1 } },
+    { key: { status: 1, runAt: 1 } },
+    { key: { status: 1, lockedUntil: 1 } },
+    { key: { "payload.errorId": 1 } },
+    { key: { "payload.deliveryId": 1 } },
+    // Finished jobs clean themselves up; dead ones stay until retried
+    {
+      key: { finishedAt: 1 },
+      expireAfterSeconds: 7 * 24 * 60 * 60,
+      partialFilterExpression: { status: "done" },
+    },
+  ],
+};
+
+let indexesReady = null;
+
+/**
+ * Create the indexes once per process. Failures are logged and retried on
+ * the next call rather than failing the request that triggered them.
+ */
+export function ensureIndexes(db) {
+  if (!indexesReady) {
+    indexesReady = Promise.all(
+      Object.entries(INDEXES).map(([name, specs]) =>
+        db.collection(name).createIndexes(specs),
+      ),
+    ).catch((err) => {
+      console.error("[pixpro] Failed to create indexes", err);
+      indexesReady = null;
+    });
+  }
+  return indexesReady;
+}
@@ -0,0 +1,66 @@
+import { createHash } from "crypto";
+import { parseFrames, isInAppFrame, stableFilePath } from "./stack.js";
+
+/* ───────────────────── Fingerprinting ───────────────────── */
+
+const FINGERPRINT_FRAMES = 5;
+
+/**
+ * Strip the dynamic parts of an error message (ids, numbers, urls …)
+ * so that one bug produces one bucket:
+ *   "Order 8f1c…e2 not found (id 1234)" → "Order <uuid> not found (id <n>)"
+ */
+export function normalizeMessage(message = "") {
+  return String(message)
+    .replace(
+      /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+      "<uuid>",
+    )
+    .replace(/\bhttps?:\/\/[^\s'"()]+/gi, "<url>")
+    .replace(/\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g, "<email>")
+    .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, "<hex>")
+    .replace(/\d+(?:\.\d+)?/g, "<n>")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * Top in-app frames as "path:function" strings. Source-mapped frames win
+ * because minified function names change with every build.
+ */
+export function topInAppFrames(mappedStack, rawStack, n = FINGERPRINT_FRAMES) {
+  const mapped = (Array.isArray(mappedStack) ? mappedStack : [])
+    .filter((f) => !f.separator && isInAppFrame(f.source))
+    .map((f) => `${stableFilePath(f.source)}:${f.function || "<anonymous>"}`);
+  if (mapped.length) return mapped.slice(0, n);
+
+  let raw = [];
+  try {
+    raw = rawStack ? parseFrames(rawStack) : [];
+  } catch {
+    raw = [];
+  }
+  return raw
+    .filter((f) => isInAppFrame(f.fileName))
+    .map((f) => `${stableFilePath(f.fileName)}:${f.functionName}`)
+    .slice(0, n);
+}
+
+/**
+ * Fingerprint = sha1(name + normalized message + top in-app frames).
+ * Line/column numbers are deliberately left out so a redeploy that only
+ * shifts code around keeps grouping into the same issue.
+ */
+export function computeFingerprint({ error, mappedStack }) {
+  const frames = topInAppFrames(mappedStack, error?.stack);
+  const parts = [
+    error?.name || "Error",
+    normalizeMessage(error?.message),
+    ...frames,
+  ];
+  return {
+    fingerprint: createHash("sha1").update(parts.join("\n")).digest("hex"),
+    culprit: frames[0] ?? null,
+  };
+}
@@ -0,0 +1,163 @@
+import { getNearestCity } from "offline-geocode-city";
+import geoip from "geoip-country";
+import { LruCache } from "./cache.js";
+import { fetchWithTimeout } from "./http.js";
+
+/* ───────────────────── Providers ───────────────────── */
+
+/**
+ * A provider turns coordinates into { city, state, country, countryCode }.
+ * `reverse` resolves to {} when it has no answer and to null when the
+ * lookup failed and is worth retrying (timeout, rate limit).
+ *
+ * Providers run in the order listed in PIXPRO_GEO_PROVIDERS
+ * (default "offline"); the first one with an answer wins.
+ */
+const PROVIDERS = {
+  /** Bundled nearest-city dataset — no network, no usage limits. */
+  offline: {
+    async reverse(lat, lon) {
+      const hit = getNearestCity(lat, lon);
+      if (!hit?.countryName) return {};
+      return {
+        city: hit.cityName || null,
+        state: null,
+        country: hit.countryName,
+        countryCode: hit.countryIso2 || null,
+      };
+    },
+  },
+
+  /**
+   * Live OpenStreetMap lookup. Opt-in only: the public instance allows
+   * about one request per second, far below our ingest rate.
+   */
+  nominatim: {
+    async reverse(lat, lon) {
+      try {
+        const url = new URL("https://nominatim.openstreetmap.org/reverse");
+        url.searchParams.set("lat", String(lat));
+        url.searchParams.set("lon", String(lon));
+        url.searchParams.set("format", "json");
+
+        const res = await fetchWithTimeout(
+          url.toString(),
+          { headers: { "User-Agent": "pixpro-error-tracker/1.0" } },
+          8000, // slightly more generous for geocoding
+        );
+
+        if (!res?.ok) return null;
+
+        let json;
+        try {
+          json = await res.json();
+        } catch {
+          return null;
+        }
+
+        const address = json?.address ?? {};
+
+        return {
+          city:
+            address.city ||
+            address.town ||
+            address.village ||
+            address.hamlet ||
+            null,
+          state: address.state || null,
+          country: address.country || null,
+          countryCode: address.country_code?.toUpperCase() || null,
+        };
+      } catch {
+        return null;
+      }
+    },
+  },
+};
+
+export const GEO_PROVIDERS = Object.keys(PROVIDERS);
+
+function configuredProviders() {
+  const names = (process.env.PIXPRO_GEO_PROVIDERS || "offline")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = names.filter((n) => !PROVIDERS[n]);
+  if (unknown.length) {
+    console.error(`[pixpro] Unknown geo provider(s): ${unknown.join(", ")}`);
+  }
+  return names.filter((n) => PROVIDERS[n]);
+}
+
+const providers = configuredProviders();
+
+/* ───────────────────── Cache ───────────────────── */
+
+// ~1 km cells: errors from one office or city share a lookup.
+const cellKey = (lat, lon) => `${lat.toFixed(2)},${lon.toFixed(2)}`;
+
+const geoCache = new LruCache({
+  maxEntries: 10000,
+  ttlMs: 24 * 60 * 60 * 1000,
+});
+
+/** Hit/miss counters for the metrics endpoint. */
+export function geoCacheStats() {
+  return { providers, ...geoCache.stats() };
+}
+
+/* ───────────────────── Lookups ───────────────────── */
+
+/**
+ * City / state / country for a coordinate, tagged with the provider that
+ * answered (`source`). Returns {} when nothing matched or there is nothing
+ * to look up, and null when every provider that was tried failed — the
+ * enrichment job retries those.
+ */
+export async function reverseGeocode(lat, lon) {
+  lat = Number(lat);
+  lon = Number(lon);
+  if (!lat || !lon || Math.abs(lat) > 90 || Math.abs(lon) > 180) return {};
+
+  return geoCache.getOrLoad(cellKey(lat, lon), async () => {
+    let failed = false;
+    for (const name of providers) {
+      const result = await PROVIDERS[name].reverse(lat, lon).catch(() => null);
+      if (result === null) {
+        failed = true;
+        continue;
+      }
+      if (result.country) return { ...result, source: name };
+    }
+    // undefined is not cached, so failed lookups are tried again next time
+    return failed ? undefined : {};
+  }).then((location) => location ?? null);
+}
+
+/**
+ * Country for a client IP from the bundled GeoIP database, for events
+ * that arrive without coordinates. {} for private/unknown addresses.
+ */
+export function lookupIp(ip) {
+  if (!ip) return {};
+  try {
+    const hit = geoip.lookup(ip);
+    if (!hit?.country) return {};
+    return {
+      city: null,
+      state: null,
+      country: hit.name ?? hit.country,
+      countryCode: hit.country,
+      source: "ip",
+    };
+  } catch {
+    return {};
+  }
+}
+
+/** First client address from the proxy headers, if any. */
+export function requestIp(headers) {
+  const forwarded = headers.get("x-forwarded-for");
+  if (forwarded) return forwarded.split(",")[0].trim() || null;
+  return headers.get("x-real-ip") || null;
+}
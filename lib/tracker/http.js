@@ -0,0 +1,27 @@
+/**
+ * Fetch with an AbortController timeout (default 5 s).
+ * Returns null instead of throwing on network/timeout errors.
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    return res;
+  } catch {
+    return null; // timeout or network failure — caller decides what to do
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Absolute link to the dashboard (PIXPRO_APP_URL + /error-page) with
+ * optional query params, or null when PIXPRO_APP_URL is not set.
+ */
+export function errorPageUrl(params = {}) {
+  const base = process.env.PIXPRO_APP_URL;
+  if (!base) return null;
+  const query = new URLSearchParams(params).toString();
+  return `${base.replace(/\/$/, "")}/error-page${query ? `?${query}` : ""}`;
+}
@@ -0,0 +1,314 @@
+import { createHmac } from "crypto";
+import { ObjectId } from "mongodb";
+import { ALERT_HANDLERS, queueAlertEvaluation } from "./alerts.js";
+import { normalizeBreadcrumbs } from "./breadcrumbs.js";
+import { COLLECTIONS } from "./collections.js";
+import { computeFingerprint } from "./fingerprint.js";
+import { reverseGeocode } from "./geo.js";
+import { recordIssueOccurrence } from "./issues.js";
+import { enqueueJob, enqueueJobs, runJobs } from "./jobs.js";
+import { detectRegression } from "./regressions.js";
+import { compileScrubbing, scrubEvent } from "./scrub.js";
+import { parseUserAgent } from "./useragent.js";
+import { mapStackTrace } from "./sourcemaps.js";
+import { inheritedTaskId } from "./tasks.js";
+
+/* ───────────────────── Events ───────────────────── */
+
+// Queued (offline) clients send when the error happened; anything outside
+// this window is treated as a bad clock and replaced by the receive time.
+const MAX_EVENT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/** Trimmed, length-capped string tag (release, environment) or null. */
+function tagValue(value, max) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, max) : null;
+}
+
+const MAX_TAGS = 50;
+
+/** { key: value } string pairs only, capped in count and length. */
+function normalizeTags(tags) {
+  if (!tags || typeof tags !== "object" || Array.isArray(tags)) return {};
+  const out = {};
+  for (const [key, value] of Object.entries(tags).slice(0, MAX_TAGS)) {
+    if (value == null || typeof value === "object") continue;
+    const k = tagValue(key, 64);
+    if (k && !k.startsWith("$") && !k.includes(".")) {
+      out[k] = tagValue(String(value), 200);
+    }
+  }
+  return out;
+}
+
+/**
+ * The app's own user — id / username / email, nothing else. Scrubbing
+ * turns every email into "[email]", so `emailHash` (keyed by project)
+ * is what tells email-only users apart when counting affected users.
+ */
+function normalizeUser(user, projectId) {
+  if (!user || typeof user !== "object") return null;
+  const email = tagValue(user.email, 256);
+  const out = {
+    id: user.id != null ? tagValue(String(user.id), 128) : null,
+    username: tagValue(user.username, 128),
+    email,
+    emailHash: email
+      ? createHmac("sha256", String(projectId))
+          .update(email.toLowerCase())
+          .digest("hex")
+      : null,
+  };
+  return out.id || out.username || out.email ? out : null;
+}
+
+function eventTime(value, now) {
+  if (value == null) return now;
+  const d = new Date(value);
+  if (isNaN(d)) return now;
+  const age = now - d;
+  return age > MAX_EVENT_AGE_MS || age < -MAX_CLOCK_SKEW_MS ? now : d;
+}
+
+const DEFAULT_SCRUBBING_RULES = compileScrubbing(null);
+
+/**
+ * Validate one client payload and shape the raw error document stored by
+ * the ingest routes (before enrichment). `projectId` is the authenticated
+ * project; `location` the IP-based guess for the request; `userAgent` the
+ * request's User-Agent, used when the payload doesn't carry one;
+ * `scrubbing` the project's compiled PII rules (see scrub.js — the
+ * defaults when omitted).
+ *
+ * Returns { event } or { reason } describing why it was rejected.
+ */
+export function buildEvent(
+  body,
+  {
+    projectId,
+    location = {},
+    userAgent = null,
+    scrubbing = DEFAULT_SCRUBBING_RULES,
+    now = new Date(),
+  },
+) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { reason: "Invalid payload: expected an object." };
+  }
+  if (!body.error?.message) {
+    return { reason: "Invalid payload: error.message is required." };
+  }
+  if (body.projectId && body.projectId !== projectId) {
+    return { reason: "Invalid payload: projectId does not match the key." };
+  }
+  if (body.breadcrumbs != null && !Array.isArray(body.breadcrumbs)) {
+    return { reason: "Invalid payload: breadcrumbs must be an array." };
+  }
+  const { breadcrumbs, dropped } = normalizeBreadcrumbs(body.breadcrumbs);
+
+  const event = {
+    _id: new ObjectId(),
+    projectId,
+    release: tagValue(body.release, 200),
+    environment: tagValue(body.environment, 64),
+    tags: normalizeTags(body.tags),
+    user: normalizeUser(body.user, projectId),
+    error: {
+      message: String(body.error.message),
+      name: body.error.name ?? "Error",
+      stack: body.error.stack ?? null,
+    },
+    mappedStack: [],
+    timestamp: eventTime(body.timestamp, now),
+    receivedAt: now,
+    deviceInfo: body.deviceInfo ?? null,
+    ua: parseUserAgent(body.deviceInfo?.userAgent ?? userAgent),
+    locationInfo: body.locationInfo ?? null,
+    geo: body.geo ?? {},
+    breadcrumbs,
+    breadcrumbsDropped: dropped,
+    attachments: [],
+    city: null,
+    state: null,
+    country: location.country ?? null,
+    countryCode: location.countryCode ?? null,
+    geoSource: location.source ?? null,
+    enrichment: { status: "pending", queuedAt: now },
+  };
+
+  // Before anything is stored — the raw payload never reaches the database
+  return { event: scrubEvent(event, scrubbing) };
+}
+
+/* ───────────────────── Enrichment ───────────────────── */
+
+/**
+ * POST /api/error stores the raw event and queues an "enrich" job; the
+ * slow parts — symbolication, issue grouping, geocoding — run here.
+ *
+ * Each step records its completion under `enrichment` on the error, so a
+ * retry after a failure resumes where the last attempt stopped instead of
+ * counting the occurrence against its issue twice.
+ */
+export const ENRICH_JOB = "enrich";
+
+export async function queueEnrichment(db, errorId) {
+  return enqueueJob(db, { type: ENRICH_JOB, payload: { errorId } });
+}
+
+export async function queueEnrichments(db, errorIds) {
+  return enqueueJobs(
+    db,
+    errorIds.map((errorId) => ({ type: ENRICH_JOB, payload: { errorId } })),
+  );
+}
+
+/**
+ * Runs in steps, each recorded on the document before the next starts:
+ * a retried job must not count the occurrence against its issue twice
+ * (that would also keep newIssue alerts from ever seeing count 1).
+ */
+async function symbolicate(db, errors, doc) {
+  let { fingerprint, issueId } = doc;
+  let newIssue = Boolean(doc.enrichment?.newIssue);
+
+  if (!doc.enrichment?.issueRecorded) {
+    const mappedStack = await mapStackTrace(doc.error?.stack, {
+      db,
+      projectId: doc.projectId,
+      release: doc.release ?? null,
+    }).catch(() => []);
+
+    const event = { ...doc, mappedStack };
+    const computed = computeFingerprint(event);
+    fingerprint = computed.fingerprint;
+    const issue = await recordIssueOccurrence(db, {
+      ...event,
+      fingerprint,
+      culprit: computed.culprit,
+    });
+    issueId = issue?._id ?? null;
+    newIssue = issue?.count === 1;
+    const taskId = inheritedTaskId(issue, doc.projectId);
+
+    await errors.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          mappedStack,
+          fingerprint,
+          issueId,
+          // Occurrences of an assigned issue go to the same person
+          ...(issue?.assignee && { assignee: issue.assignee }),
+          // …and count towards the task created from it
+          ...(taskId && { taskId }),
+          "enrichment.issueRecorded": true,
+          "enrichment.newIssue": newIssue,
+        },
+      },
+    );
+  }
+
+  // Something already marked resolved is back — reopen it. A retry gets
+  // back the regression it already recorded.
+  const regression = await detectRegression(db, { ...doc, fingerprint });
+
+  // Before the step is marked done: a retry re-queues rather than loses it
+  await queueAlertEvaluation(db, {
+    event: doc,
+    issueId,
+    newIssue,
+    regression,
+  });
+
+  await errors.updateOne(
+    { _id: doc._id },
+    {
+      $set: {
+        ...(regression && { status: "regressed", regressions: [regression] }),
+        "enrichment.symbolicated": true,
+      },
+    },
+  );
+}
+
+/**
+ * Coordinates beat the IP-based country set at ingest; when the providers
+ * have no answer that country is kept.
+ */
+async function geocode(errors, doc) {
+  const location = await reverseGeocode(doc.geo?.lat, doc.geo?.lon);
+  if (!location) throw new Error("Reverse geocoding failed.");
+
+  const $set = { "enrichment.geocoded": true };
+  if (location.country) {
+    Object.assign($set, {
+      city: location.city ?? null,
+      state: location.state ?? null,
+      country: location.country,
+      countryCode: location.countryCode ?? null,
+      geoSource: location.source ?? null,
+    });
+  }
+  await errors.updateOne({ _id: doc._id }, { $set });
+}
+
+/** Job handler for ENRICH_JOB. Throws to have the attempt retried. */
+export async function enrichError(db, job) {
+  const errors = db.collection(COLLECTIONS.errors);
+  const errorId = new ObjectId(job.payload.errorId);
+  const doc = await errors.findOne({ _id: errorId });
+  if (!doc) return; // deleted before we got to it
+
+  try {
+    if (!doc.enrichment?.symbolicated) await symbolicate(db, errors, doc);
+    if (!doc.enrichment?.geocoded) await geocode(errors, doc);
+
+    await errors.updateOne(
+      { _id: errorId },
+      {
+        $set: {
+          "enrichment.status": "done",
+          "enrichment.completedAt": new Date(),
+          "enrichment.lastError": null,
+        },
+      },
+    );
+  } catch (err) {
+    const final = job.attempts >= job.maxAttempts;
+    await errors.updateOne(
+      { _id: errorId },
+      {
+        $set: {
+          "enrichment.status": final ? "failed" : "retrying",
+          "enrichment.lastError": String(err?.message ?? err),
+        },
+      },
+    );
+    throw err;
+  }
+}
+
+export const JOB_HANDLERS = {
+  [ENRICH_JOB]: enrichError,
+  ...ALERT_HANDLERS,
+};
+
+/* ───────────────────── Inline processing ───────────────────── */
+
+// Ingest routes drain a few jobs after responding, so a deployment without
+// scripts/error-worker.js still gets enriched. Set PIXPRO_INLINE_JOBS=0 when
+// the worker should do all of it.
+export const INLINE_JOBS = process.env.PIXPRO_INLINE_JOBS !== "0";
+const INLINE_JOB_LIMIT = 5;
+
+/** Never rejects — meant to be handed to waitUntil(). */
+export function drainJobs(db, limit = INLINE_JOB_LIMIT) {
+  return runJobs(db, {
+    handlers: JOB_HANDLERS,
+    workerId: "inline",
+    limit,
+  }).catch((err) => console.error("[pixpro] Inline jobs failed", err));
+}
@@ -0,0 +1,55 @@
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Issue upsert ───────────────────── */
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Record one occurrence against the issue with the same fingerprint,
+ * creating the issue on first sight. Returns the updated issue document.
+ */
+export async function recordIssueOccurrence(db, event) {
+  const issues = db.collection(COLLECTIONS.issues);
+  const filter = { fingerprint: event.fingerprint };
+  const update = {
+    $setOnInsert: {
+      fingerprint: event.fingerprint,
+      name: event.error.name,
+      message: event.error.message,
+      culprit: event.culprit ?? null,
+      firstSeen: event.timestamp,
+      firstRelease: event.release ?? null,
+    },
+    $max: { lastSeen: event.timestamp },
+    $inc: { count: 1 },
+    $addToSet: { projects: event.projectId },
+    // Polled by the live feed when change streams aren't available
+    $set: { updatedAt: new Date() },
+  };
+  if (event.release) update.$set.lastRelease = event.release;
+
+  let issue;
+  try {
+    issue = await issues.findOneAndUpdate(filter, update, {
+      upsert: true,
+      returnDocument: "after",
+    });
+  } catch (err) {
+    // Two first occurrences raced on the unique index — the loser just updates.
+    if (err?.code !== DUPLICATE_KEY) throw err;
+    issue = await issues.findOneAndUpdate(filter, update, {
+      returnDocument: "after",
+    });
+  }
+
+  // Issues first seen from untagged clients pick up the first release later
+  if (issue && event.release && !issue.firstRelease) {
+    await issues.updateOne(
+      { _id: issue._id, firstRelease: null },
+      { $set: { firstRelease: event.release } },
+    );
+    issue.firstRelease = event.release;
+  }
+
+  return issue;
+}
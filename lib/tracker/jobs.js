@@ -0,0 +1,212 @@
+import { ObjectId } from "mongodb";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Background jobs ───────────────────── */
+
+/**
+ * A small Mongo-backed queue in `errors.jobs`. Any process can run jobs —
+ * the ingest route drains a few after responding and scripts/error-worker.js
+ * runs them continuously — because claiming is a single atomic
+ * findOneAndUpdate.
+ *
+ *   pending → running → done
+ *                     ↘ pending (retry with backoff) … → dead
+ *
+ * A job whose worker died keeps status "running" until `lockedUntil`
+ * passes, then becomes claimable again.
+ */
+export const JOB_STATUSES = ["pending", "running", "done", "dead"];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const LOCK_MS = 2 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+/** 30 s, 1 min, 2 min, … capped at 30 min, with ±20% jitter. */
+export function backoffMs(attempts) {
+  const base = Math.min(
+    BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1),
+    BACKOFF_MAX_MS,
+  );
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function newJob(
+  { type, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = null },
+  now,
+) {
+  return {
+    _id: new ObjectId(),
+    type,
+    payload: payload ?? {},
+    status: "pending",
+    attempts: 0,
+    maxAttempts,
+    runAt: runAt ?? now,
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+}
+
+export async function enqueueJob(db, spec) {
+  const job = newJob(spec, new Date());
+  await db.collection(COLLECTIONS.jobs).insertOne(job);
+  return job;
+}
+
+/** Many jobs in one round trip (batch ingest). */
+export async function enqueueJobs(db, specs) {
+  if (!specs.length) return [];
+  const now = new Date();
+  const jobs = specs.map((spec) => newJob(spec, now));
+  await db.collection(COLLECTIONS.jobs).insertMany(jobs);
+  return jobs;
+}
+
+/** Atomically take the oldest runnable job, or null when there is none. */
+export async function claimJob(db, { workerId, types = null } = {}) {
+  const now = new Date();
+  const filter = {
+    $or: [
+      { status: "pending", runAt: { $lte: now } },
+      { status: "running", lockedUntil: { $lte: now } },
+    ],
+  };
+  if (types) filter.type = { $in: types };
+
+  return db.collection(COLLECTIONS.jobs).findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: "running",
+        lockedBy: workerId ?? null,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" },
+  );
+}
+
+/**
+ * `attempts` doubles as a fencing token: a worker whose lock expired and
+ * whose job was re-claimed can no longer overwrite the new attempt.
+ */
+function ownJob(job) {
+  return { _id: job._id, attempts: job.attempts };
+}
+
+export async function completeJob(db, job) {
+  const now = new Date();
+  await db.collection(COLLECTIONS.jobs).updateOne(
+    ownJob(job),
+    {
+      $set: {
+        status: "done",
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: now,
+        finishedAt: now,
+      },
+    },
+  );
+}
+
+/**
+ * Schedule a retry, or move the job to "dead" once it has used all its
+ * attempts. Returns the new status.
+ */
+export async function failJob(db, job, err) {
+  const now = new Date();
+  const message = String(err?.message ?? err).slice(0, MAX_ERROR_LENGTH);
+  const dead = job.attempts >= job.maxAttempts;
+  const retryAt = new Date(now.getTime() + backoffMs(job.attempts));
+
+  await db.collection(COLLECTIONS.jobs).updateOne(
+    ownJob(job),
+    {
+      $set: {
+        status: dead ? "dead" : "pending",
+        runAt: dead ? job.runAt : retryAt,
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: message,
+        updatedAt: now,
+        finishedAt: dead ? now : null,
+      },
+      $push: {
+        failures: {
+          $each: [{ at: now, attempt: job.attempts, error: message }],
+          $slice: -10,
+        },
+      },
+    },
+  );
+  return dead ? "dead" : "pending";
+}
+
+/**
+ * Put dead jobs — or pending ones waiting out a backoff — back at the
+ * front of the queue with a fresh set of attempts. Returns the count.
+ */
+export async function retryJobs(db, filter) {
+  const now = new Date();
+  const result = await db.collection(COLLECTIONS.jobs).updateMany(
+    { ...filter, status: { $in: ["dead", "pending"] } },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        runAt: now,
+        updatedAt: now,
+        finishedAt: null,
+      },
+    },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Claim and run jobs until the queue is empty or `limit` jobs ran.
+ * `handlers` maps job type → async (db, job) => void; a throw counts as a
+ * failed attempt. Returns { processed, succeeded, failed, dead }.
+ */
+export async function runJobs(
+  db,
+  { handlers, workerId, limit = Infinity, shouldStop = () => false },
+) {
+  const stats = { processed: 0, succeeded: 0, failed: 0, dead: 0 };
+  const types = Object.keys(handlers);
+
+  while (stats.processed < limit && !shouldStop()) {
+    const job = await claimJob(db, { workerId, types });
+    if (!job) break;
+    stats.processed++;
+
+    try {
+      // A lock that expired mid-run can hand out one attempt too many
+      if (job.attempts > job.maxAttempts) {
+        throw new Error("Exceeded maximum attempts.");
+      }
+      await handlers[job.type](db, job);
+      await completeJob(db, job);
+      stats.succeeded++;
+    } catch (err) {
+      const status = await failJob(db, job, err);
+      if (status === "dead") {
+        stats.dead++;
+        console.error(`[pixpro] Job ${job._id} (${job.type}) is dead`, err);
+      } else {
+        stats.failed++;
+      }
+    }
+  }
+
+  return stats;
+}
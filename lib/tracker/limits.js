@@ -0,0 +1,282 @@
+import { COLLECTIONS } from "./collections.js";
+import { computeFingerprint } from "./fingerprint.js";
+
+/* ───────────────────── Rate limits, sampling & quotas ───────────────────── */
+
+/**
+ * Per-project settings kept on the project document as `limits`:
+ *
+ *   {
+ *     perMinute: 1000,               // events per project per minute
+ *     perFingerprintPerMinute: 60,   // per error fingerprint per minute
+ *     sampleRate: 1,                 // 0–1, share of events kept
+ *     monthlyQuota: null,            // events stored per calendar month (UTC)
+ *   }
+ *
+ * `null` disables a limit. Checks run in order — sampling, quota, project
+ * rate, fingerprint rate — and only events that survive one reach the
+ * next; the quota and project rate end up charged for admitted events
+ * only. Dropped events are never stored; they are counted per reason in
+ * `errors.usage` next to the accepted ones:
+ *
+ *   { projectId, period: "day" | "month", start, accepted,
+ *     dropped: { sampled, quota, rateLimit, fingerprintLimit } }
+ */
+
+export const DROP_REASONS = [
+  "sampled",
+  "quota",
+  "rateLimit",
+  "fingerprintLimit",
+];
+
+/** Client-facing explanation per drop reason. */
+export const DROP_MESSAGES = {
+  sampled: "Event sampled out; not stored.",
+  quota: "Monthly event quota exceeded for this project.",
+  rateLimit: "Rate limit exceeded for this project.",
+  fingerprintLimit: "Rate limit exceeded for this error.",
+};
+
+export const DEFAULT_LIMITS = {
+  perMinute: 1000,
+  perFingerprintPerMinute: 60,
+  sampleRate: 1,
+  monthlyQuota: null,
+};
+
+const WINDOW_MS = 60 * 1000;
+
+/** Positive integer or null; undefined when the value is invalid. */
+function limitValue(value) {
+  if (value === null) return null;
+  return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Validate project limit settings (a partial object is merged over
+ * `previous`, the stored settings when updating, or the defaults).
+ * Returns { limits } or { error } with a message.
+ */
+export function normalizeLimits(input, previous = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Invalid limits: expected an object." };
+  }
+  const out = { ...DEFAULT_LIMITS, ...previous };
+
+  for (const key of ["perMinute", "perFingerprintPerMinute", "monthlyQuota"]) {
+    if (input[key] === undefined) continue;
+    const value = limitValue(input[key]);
+    if (value === undefined) {
+      return {
+        error: `Invalid limits.${key}: expected a positive integer or null.`,
+      };
+    }
+    out[key] = value;
+  }
+
+  if (input.sampleRate !== undefined) {
+    const rate = input.sampleRate;
+    if (typeof rate !== "number" || !(rate >= 0 && rate <= 1)) {
+      return { error: "Invalid limits.sampleRate: expected a number 0–1." };
+    }
+    out.sampleRate = rate;
+  }
+
+  return { limits: out };
+}
+
+function monthStart(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function dayStart(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+}
+
+/**
+ * Reserve up to `n` units under `limit` on a counter with one atomic
+ * $inc, and hand back at once what didn't fit — concurrent requests
+ * can't all pass at the limit. Returns { room, release }; release(k)
+ * gives back reserved units a later check dropped.
+ */
+async function reserve(collection, filter, field, n, limit, setOnInsert) {
+  const update = { $inc: { [field]: n } };
+  if (setOnInsert) update.$setOnInsert = setOnInsert;
+  const doc = await collection.findOneAndUpdate(filter, update, {
+    upsert: true,
+    returnDocument: "after",
+  });
+  const before = (doc?.[field] ?? n) - n;
+  const room = Math.max(0, Math.min(n, limit - before));
+
+  const release = async (k) => {
+    if (k > 0) await collection.updateOne(filter, { $inc: { [field]: -k } });
+  };
+  await release(n - room);
+  return { room, release };
+}
+
+/** Reserve `n` hits in a fixed one-minute window (TTL-expired). */
+function reserveWindow(db, key, n, limit, now) {
+  const window = Math.floor(now.getTime() / WINDOW_MS);
+  return reserve(
+    db.collection(COLLECTIONS.rateLimits),
+    { _id: `${key}:${window}` },
+    "count",
+    n,
+    limit,
+    { expiresAt: new Date((window + 2) * WINDOW_MS) },
+  );
+}
+
+/**
+ * Grouping key for the per-fingerprint limit. The stored fingerprint is
+ * only computed after symbolication, so this uses the raw stack — stable
+ * within one build, which is what a render loop produces.
+ */
+function rawFingerprint(event) {
+  return computeFingerprint({ error: event.error, mappedStack: [] })
+    .fingerprint;
+}
+
+/**
+ * When a client that was turned away may try again: the next minute for
+ * rate limits, the next month for the quota.
+ */
+export function retryAfterSeconds(reason, now = new Date()) {
+  if (reason === "quota") {
+    const next = monthStart(now);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    return Math.ceil((next - now) / 1000);
+  }
+  if (reason === "rateLimit" || reason === "fingerprintLimit") {
+    return Math.ceil((WINDOW_MS - (now.getTime() % WINDOW_MS)) / 1000);
+  }
+  return null;
+}
+
+/**
+ * Apply a project's limits to freshly built events (see buildEvent).
+ * Returns { events, dropped: [{ event, reason }] } — `events` are the
+ * ones to store — and records both in the usage counters.
+ */
+export async function admitEvents(
+  db,
+  project,
+  events,
+  { now = new Date(), random = Math.random } = {},
+) {
+  const limits = { ...DEFAULT_LIMITS, ...(project.limits ?? {}) };
+  const dropped = [];
+  let kept = events;
+
+  const keep = (list, room, reason) => {
+    for (const event of list.slice(room)) dropped.push({ event, reason });
+    return list.slice(0, room);
+  };
+
+  if (limits.sampleRate < 1) {
+    kept = kept.filter((event) => {
+      if (random() < limits.sampleRate) return true;
+      dropped.push({ event, reason: "sampled" });
+      return false;
+    });
+  }
+
+  // The month's `accepted` counter is the quota: reserve from it directly
+  let quota = null;
+  if (kept.length && limits.monthlyQuota != null) {
+    quota = await reserve(
+      db.collection(COLLECTIONS.usage),
+      { projectId: project.projectId, period: "month", start: monthStart(now) },
+      "accepted",
+      kept.length,
+      limits.monthlyQuota,
+    );
+    kept = keep(kept, quota.room, "quota");
+  }
+
+  let projectWindow = null;
+  if (kept.length && limits.perMinute != null) {
+    projectWindow = await reserveWindow(
+      db,
+      `${project.projectId}:*`,
+      kept.length,
+      limits.perMinute,
+      now,
+    );
+    kept = keep(kept, projectWindow.room, "rateLimit");
+  }
+
+  if (kept.length && limits.perFingerprintPerMinute != null) {
+    const groups = new Map();
+    for (const event of kept) {
+      const fp = rawFingerprint(event);
+      groups.set(fp, [...(groups.get(fp) ?? []), event]);
+    }
+    const admitted = new Set();
+    await Promise.all(
+      [...groups].map(async ([fp, group]) => {
+        const { room } = await reserveWindow(
+          db,
+          `${project.projectId}:${fp}`,
+          group.length,
+          limits.perFingerprintPerMinute,
+          now,
+        );
+        for (const event of keep(group, room, "fingerprintLimit")) {
+          admitted.add(event);
+        }
+      }),
+    );
+    // Keep the original order
+    kept = kept.filter((event) => admitted.has(event));
+  }
+
+  // Only admitted events count against the project's window and quota
+  await projectWindow?.release(projectWindow.room - kept.length);
+  await quota?.release(quota.room - kept.length);
+
+  await recordUsage(db, project.projectId, {
+    accepted: kept.length,
+    dropped,
+    now,
+    quotaReserved: Boolean(quota),
+  });
+  return { events: kept, dropped };
+}
+
+/**
+ * Bump the day and month counters for one ingest request.
+ * `quotaReserved`: the month's `accepted` was already counted while
+ * checking the quota.
+ */
+export async function recordUsage(
+  db,
+  projectId,
+  { accepted, dropped, now, quotaReserved = false },
+) {
+  const inc = {};
+  for (const { reason } of dropped) {
+    inc[`dropped.${reason}`] = (inc[`dropped.${reason}`] ?? 0) + 1;
+  }
+  const month = quotaReserved ? inc : { ...inc, accepted };
+  await db.collection(COLLECTIONS.usage).bulkWrite(
+    [
+      ["day", dayStart(now), { ...inc, accepted }],
+      ["month", monthStart(now), month],
+    ]
+      .filter(([, , counts]) => Object.keys(counts).length)
+      .map(([period, start, counts]) => ({
+        updateOne: {
+          filter: { projectId, period, start },
+          update: { $inc: counts },
+          upsert: true,
+        },
+      })),
+    { ordered: false },
+  );
+}
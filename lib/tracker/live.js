@@ -0,0 +1,196 @@
+import { setTimeout as sleep } from "node:timers/promises";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Live feed ───────────────────── */
+
+/**
+ * What GET /api/error/stream pushes: newly stored occurrences and issues
+ * whose count changed, optionally for one project. Change streams need a
+ * replica set (Atlas always is one); against a standalone server the feed
+ * polls receivedAt / updatedAt every LIVE_POLL_MS instead.
+ */
+export const LIVE_POLL_MS = 3000;
+
+const POLL_BATCH = 100;
+
+// An occurrence gets its receivedAt before the (possibly slow) attachment
+// writes and insert, so it can land behind the polling mark. Each poll
+// looks this far back too and skips what it already sent.
+const POLL_OVERLAP_MS = 60 * 1000;
+
+// Same light shape as the list view
+const OCCURRENCE_PROJECTION = { screenshot: 0, breadcrumbs: 0 };
+
+function pickIssue(issue) {
+  return {
+    _id: issue._id,
+    fingerprint: issue.fingerprint,
+    name: issue.name,
+    message: issue.message,
+    count: issue.count,
+    firstSeen: issue.firstSeen,
+    lastSeen: issue.lastSeen,
+    status: issue.status,
+    projects: issue.projects,
+  };
+}
+
+function isAbort(err) {
+  return err?.name === "AbortError";
+}
+
+/** Replica set members and mongos routers can open change streams. */
+async function supportsChangeStreams(db) {
+  const hello = await db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === "isdbgrid";
+}
+
+async function followChanges(db, { projectId, signal, send }) {
+  const occurrences = db.collection(COLLECTIONS.errors).watch([
+    {
+      $match: {
+        operationType: "insert",
+        ...(projectId && { "fullDocument.projectId": projectId }),
+      },
+    },
+    {
+      $project: { "fullDocument.screenshot": 0, "fullDocument.breadcrumbs": 0 },
+    },
+  ]);
+  const issues = db.collection(COLLECTIONS.issues).watch(
+    [
+      {
+        $match: {
+          $or: [
+            { operationType: "insert" },
+            {
+              operationType: "update",
+              "updateDescription.updatedFields.count": { $exists: true },
+            },
+          ],
+          ...(projectId && { "fullDocument.projects": projectId }),
+        },
+      },
+    ],
+    { fullDocument: "updateLookup" },
+  );
+
+  const close = () =>
+    Promise.all([occurrences.close(), issues.close()]).catch(() => {});
+  signal.addEventListener("abort", close, { once: true });
+
+  const pump = async (stream, type, pick) => {
+    for await (const change of stream) {
+      if (change.fullDocument) send(type, pick(change.fullDocument));
+    }
+  };
+
+  send("ready", { mode: "changeStream" });
+  try {
+    await Promise.all([
+      pump(occurrences, "occurrence", (doc) => doc),
+      pump(issues, "issue", pickIssue),
+    ]);
+  } catch (err) {
+    if (!signal.aborted) throw err;
+  } finally {
+    signal.removeEventListener("abort", close);
+    await close();
+  }
+}
+
+async function followPolling(db, { projectId, signal, send, pollMs }) {
+  const errors = db.collection(COLLECTIONS.errors);
+  const issues = db.collection(COLLECTIONS.issues);
+  const scope = projectId ? { projectId } : {};
+
+  // (receivedAt, _id) / (updatedAt, _id) of the newest thing sent, so rows
+  // that share a millisecond are neither repeated nor skipped
+  const start = new Date();
+  let occurrenceMark = { at: start, id: null };
+  let issueMark = { at: start, id: null };
+  const after = (field, { at, id }) =>
+    id
+      ? { $or: [{ [field]: { $gt: at } }, { [field]: at, _id: { $gt: id } }] }
+      : { [field]: { $gt: at } };
+  const isAfter = (at, id, mark) =>
+    at > mark.at ||
+    (at.getTime() === mark.at.getTime() &&
+      (!mark.id || String(id) > String(mark.id)));
+
+  // Occurrences inside the overlap window that were sent (or were already
+  // there when the feed started), by id
+  const seen = new Map();
+  const overlapStart = () =>
+    new Date(occurrenceMark.at.getTime() - POLL_OVERLAP_MS);
+  const existing = await errors
+    .find({ ...scope, receivedAt: { $gt: overlapStart(), $lte: start } })
+    .project({ receivedAt: 1 })
+    .toArray();
+  for (const doc of existing) seen.set(String(doc._id), doc);
+
+  send("ready", { mode: "polling" });
+  try {
+    while (!signal.aborted) {
+      await sleep(pollMs, null, { signal });
+
+      const late = {
+        receivedAt: { $gt: overlapStart(), $lte: occurrenceMark.at },
+        _id: { $nin: [...seen.values()].map((doc) => doc._id) },
+      };
+      const [newOccurrences, changedIssues] = await Promise.all([
+        errors
+          .find({
+            ...scope,
+            $or: [after("receivedAt", occurrenceMark), late],
+          })
+          .sort({ receivedAt: 1, _id: 1 })
+          .limit(POLL_BATCH)
+          .project(OCCURRENCE_PROJECTION)
+          .toArray(),
+        issues
+          .find({
+            ...(projectId && { projects: projectId }),
+            ...after("updatedAt", issueMark),
+          })
+          .sort({ updatedAt: 1, _id: 1 })
+          .limit(POLL_BATCH)
+          .toArray(),
+      ]);
+
+      for (const doc of newOccurrences) {
+        send("occurrence", doc);
+        seen.set(String(doc._id), { _id: doc._id, receivedAt: doc.receivedAt });
+        if (isAfter(doc.receivedAt, doc._id, occurrenceMark)) {
+          occurrenceMark = { at: doc.receivedAt, id: doc._id };
+        }
+      }
+      for (const issue of changedIssues) send("issue", pickIssue(issue));
+
+      for (const [key, doc] of seen) {
+        if (doc.receivedAt <= overlapStart()) seen.delete(key);
+      }
+      const lastIssue = changedIssues.at(-1);
+      if (lastIssue) issueMark = { at: lastIssue.updatedAt, id: lastIssue._id };
+    }
+  } catch (err) {
+    if (!isAbort(err)) throw err;
+  }
+}
+
+/**
+ * Call `send(type, data)` for every new occurrence ("occurrence") and
+ * issue count change ("issue") until `signal` aborts. A "ready" message
+ * with the mode in use ("changeStream" or "polling") comes first.
+ * Resolves when the feed ends.
+ */
+export async function followLive(
+  db,
+  { projectId = null, signal, send, pollMs = LIVE_POLL_MS },
+) {
+  if (await supportsChangeStreams(db)) {
+    await followChanges(db, { projectId, signal, send });
+  } else {
+    await followPolling(db, { projectId, signal, send, pollMs });
+  }
+}
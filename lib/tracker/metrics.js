@@ -0,0 +1,41 @@
+import { COLLECTIONS } from "./collections.js";
+import { geoCacheStats } from "./geo.js";
+import { sourceMapCacheStats } from "./sourcemaps.js";
+
+/* ───────────────────── Process metrics ───────────────────── */
+
+/**
+ * Caches are per process, so the web app reports its own numbers and
+ * every `npm run worker` publishes its snapshot to `errors.workers` about
+ * once a minute. Snapshots of workers that stopped expire on their own.
+ */
+export const WORKER_REPORT_MS = 60 * 1000;
+
+/** This process's uptime, memory and cache counters. */
+export function processMetrics() {
+  return {
+    uptimeSeconds: Math.round(process.uptime()),
+    memory: process.memoryUsage(),
+    sourceMapCache: sourceMapCacheStats(),
+    geoCache: geoCacheStats(),
+  };
+}
+
+export async function reportWorkerMetrics(db, workerId) {
+  await db
+    .collection(COLLECTIONS.workers)
+    .updateOne(
+      { _id: workerId },
+      { $set: { ...processMetrics(), reportedAt: new Date() } },
+      { upsert: true },
+    );
+}
+
+/** Latest snapshot of every live worker. */
+export function listWorkerMetrics(db) {
+  return db
+    .collection(COLLECTIONS.workers)
+    .find({})
+    .sort({ _id: 1 })
+    .toArray();
+}
@@ -0,0 +1,202 @@
+import { createHash, randomBytes } from "crypto";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Project settings & ingest keys ───────────────────── */
+
+/**
+ * One document per projectId in `errors.projects`:
+ *   { projectId, name, allowedOrigins: [], keys: [{ publicKey, label,
+ *     createdAt, createdBy, revokedAt, expiresAt }], uploadTokens: [{ id,
+ *     hash, label, createdAt, createdBy, revokedAt }], scrubbing (see
+ *     scrub.js), limits (see limits.js), retention (see retention.js),
+ *     createdAt, updatedAt }
+ *
+ * Public keys ship inside client bundles; upload tokens are secrets used
+ * by build pipelines and are only stored hashed.
+ */
+
+export const INGEST_KEY_HEADER = "X-Pixpro-Key";
+
+export function generatePublicKey() {
+  return randomBytes(16).toString("hex");
+}
+
+export function newKey(session, label = null) {
+  return {
+    publicKey: generatePublicKey(),
+    label,
+    createdAt: new Date(),
+    createdBy: session ? { id: session.id, name: session.name ?? null } : null,
+    revokedAt: null,
+    expiresAt: null,
+  };
+}
+
+export function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/** Returns the plaintext token (shown once) and the entry to store. */
+export function newUploadToken(session, label = null) {
+  const token = `pxu_${randomBytes(24).toString("hex")}`;
+  return {
+    token,
+    entry: {
+      id: randomBytes(6).toString("hex"),
+      hash: hashToken(token),
+      label,
+      createdAt: new Date(),
+      createdBy: session ? { id: session.id, name: session.name ?? null } : null,
+      revokedAt: null,
+    },
+  };
+}
+
+/** Project document as it may be shown to users — no token hashes. */
+export function publicProject(project) {
+  if (!project) return project;
+  return {
+    ...project,
+    uploadTokens: (project.uploadTokens ?? []).map(({ hash, ...t }) => t),
+  };
+}
+
+export function isKeyActive(key, now = new Date()) {
+  if (!key || key.revokedAt) return false;
+  return !key.expiresAt || new Date(key.expiresAt) > now;
+}
+
+/**
+ * Origins are matched exactly, except "*" (anything) and "*.example.com"
+ * (any subdomain). An empty list means the project hasn't restricted
+ * origins yet. Requests without an Origin header (servers, curl) can't be
+ * checked and are let through — the key is what authenticates them.
+ */
+export function isOriginAllowed(project, origin) {
+  const allowed = project?.allowedOrigins ?? [];
+  if (!origin || !allowed.length) return true;
+
+  let host;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    return false;
+  }
+
+  return allowed.some((rule) => {
+    if (rule === "*" || rule === origin) return true;
+    if (rule.startsWith("*.")) return host.endsWith(rule.slice(1));
+    return false;
+  });
+}
+
+/**
+ * Validate allowed-origin entries: "*", "*.host" or a bare origin
+ * ("https://app.example.com"). Returns the cleaned list or null if any
+ * entry is invalid.
+ */
+export function normalizeOrigins(origins) {
+  if (!Array.isArray(origins)) return null;
+  const out = [];
+  for (const raw of origins) {
+    if (typeof raw !== "string") return null;
+    const rule = raw.trim().replace(/\/+$/, "");
+    if (rule === "*" || /^\*\.[\w.-]+$/.test(rule)) {
+      out.push(rule);
+      continue;
+    }
+    try {
+      const url = new URL(rule);
+      if (url.origin !== rule) return null;
+      out.push(url.origin);
+    } catch {
+      return null;
+    }
+  }
+  return [...new Set(out)];
+}
+
+export function findProject(db, projectId) {
+  return db.collection(COLLECTIONS.projects).findOne({ projectId });
+}
+
+/* ───────────────────── Ingest authorization ───────────────────── */
+
+/** Public key from the header, `?key=` (sendBeacon can't set headers) or body. */
+export function readIngestKey(request, body) {
+  return (
+    request.headers.get(INGEST_KEY_HEADER) ||
+    new URL(request.url).searchParams.get("key") ||
+    (typeof body?.key === "string" ? body.key : null)
+  );
+}
+
+/**
+ * Resolve the project an ingest request belongs to.
+ * Returns { project } on success, otherwise { status, message } with
+ * 401 for a missing/unknown/revoked key and 403 for a key that is valid
+ * but not allowed to send this payload.
+ */
+export async function authorizeIngest(db, { key, origin, projectId }) {
+  if (!key) {
+    return {
+      status: 401,
+      message: `Missing ingest key. Send it in the ${INGEST_KEY_HEADER} header or as ?key=.`,
+    };
+  }
+
+  const project = await db
+    .collection(COLLECTIONS.projects)
+    .findOne({ "keys.publicKey": key });
+  const entry = project?.keys?.find((k) => k.publicKey === key);
+
+  if (!project || !isKeyActive(entry)) {
+    return { status: 401, message: "Invalid or revoked ingest key." };
+  }
+
+  if (projectId && projectId !== project.projectId) {
+    return {
+      status: 403,
+      message: "Ingest key does not belong to this projectId.",
+    };
+  }
+
+  if (!isOriginAllowed(project, origin)) {
+    return {
+      status: 403,
+      message: `Origin ${origin} is not allowed for this project.`,
+    };
+  }
+
+  return { project };
+}
+
+/**
+ * Resolve the project a build-pipeline upload belongs to from its
+ * "Authorization: Bearer pxu_…" header. Same { project } / { status,
+ * message } contract as authorizeIngest.
+ */
+export async function authorizeUpload(db, { authorization, projectId }) {
+  const token = authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) {
+    return { status: 401, message: "Missing upload token." };
+  }
+
+  const hash = hashToken(token);
+  const project = await db
+    .collection(COLLECTIONS.projects)
+    .findOne({ "uploadTokens.hash": hash });
+  const entry = project?.uploadTokens?.find((t) => t.hash === hash);
+
+  if (!project || !entry || entry.revokedAt) {
+    return { status: 401, message: "Invalid or revoked upload token." };
+  }
+  if (projectId && projectId !== project.projectId) {
+    return {
+      status: 403,
+      message: "Upload token does not belong to this projectId.",
+    };
+  }
+
+  return { project };
+}
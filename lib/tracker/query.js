@@ -0,0 +1,173 @@
+import { ObjectId } from "mongodb";
+import { escapeRegex, parseSearch } from "./search.js";
+import { STATUSES, isValidStatus, statusQuery } from "./status.js";
+
+/* ───────────────────── List / analytics / export filters ───────────────────── */
+
+/** Whole word, any case: "safari" matches "Mobile Safari". */
+function wordRegex(value) {
+  return { $regex: `(^|\\s)${escapeRegex(value)}$`, $options: "i" };
+}
+
+/**
+ * Shared query-string filters for the routes that read `errors.pixpro`:
+ *   projectId, status, release, environment, from, to (ISO dates),
+ *   issueId, browser / os (name with an optional major version, any
+ *   case — "safari 16" matches Mobile Safari 16.5), device (desktop,
+ *   mobile, tablet…), country (ISO code or full name), assignee (a user
+ *   id, "me" for `session`'s user or "none"), q (the search language in
+ *   search.js)
+ *
+ * Returns { query, filtered } or { error } with a message for a 400.
+ */
+export function buildErrorQuery(searchParams, session = null) {
+  const query = {};
+  const and = [];
+
+  // ?q= search tokens act as the parameters they name, plus extra clauses
+  let params = searchParams;
+  const q = searchParams.get("q")?.trim();
+  if (q) {
+    const search = parseSearch(q);
+    if (search.error) return { error: search.error };
+    params = new URLSearchParams(searchParams);
+    for (const [name, value] of Object.entries(search.params)) {
+      params.set(name, value);
+    }
+    and.push(...search.clauses);
+  }
+
+  const projectId = params.get("projectId");
+  if (projectId) query.projectId = projectId;
+
+  const status = params.get("status");
+  if (status) {
+    if (!isValidStatus(status)) {
+      return {
+        error: `Invalid status. Expected one of: ${STATUSES.join(", ")}.`,
+      };
+    }
+    Object.assign(query, statusQuery(status));
+  }
+
+  const release = params.get("release");
+  if (release) query.release = release;
+
+  const environment = params.get("environment");
+  if (environment) query.environment = environment;
+
+  const issueId = params.get("issueId");
+  if (issueId) {
+    if (!ObjectId.isValid(issueId)) return { error: "Invalid issueId." };
+    query.issueId = new ObjectId(issueId);
+  }
+
+  // "Safari 16" → name Safari, major version 16. Parsed user agents first,
+  // the free-form deviceInfo strings of older events as a fallback.
+  for (const [param, field, legacy] of [
+    ["browser", "browser", "deviceInfo.browser"],
+    ["os", "os", "deviceInfo.os"],
+  ]) {
+    const raw = params.get(param)?.trim();
+    if (!raw) continue;
+    const [, name, major] = raw.match(/^(.*?)(?:\s+(\d+))?$/);
+    const parsed = { [`ua.${field}`]: wordRegex(name) };
+    if (major) parsed[`ua.${field}Major`] = major;
+    const prefix = { $regex: `^${escapeRegex(raw)}`, $options: "i" };
+    and.push({ $or: [parsed, { ua: null, [legacy]: prefix }] });
+  }
+
+  const assignee = params.get("assignee");
+  if (assignee === "none") {
+    query.assignee = null;
+  } else if (assignee === "me") {
+    if (!session) return { error: "assignee=me needs a signed-in user." };
+    query["assignee.id"] = session.id;
+  } else if (assignee) {
+    query["assignee.id"] = assignee;
+  }
+
+  const device = params.get("device");
+  if (device) query["ua.deviceType"] = device.toLowerCase();
+
+  const country = params.get("country");
+  if (country) {
+    if (/^[a-z]{2}$/i.test(country)) query.countryCode = country.toUpperCase();
+    else query.country = country;
+  }
+
+  for (const [param, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    const raw = params.get(param);
+    if (!raw) continue;
+    const d = new Date(raw);
+    if (isNaN(d)) return { error: `Invalid ${param} date.` };
+    query.timestamp = { ...query.timestamp, [op]: d };
+  }
+
+  if (and.length) query.$and = and;
+  return { query, filtered: Object.keys(query).length > 0 };
+}
+
+/* ───────────────────── Cursor pagination ───────────────────── */
+
+/**
+ * Opaque list cursors for GET /api/error?cursor=…: the (timestamp, _id) of
+ * the last row served, base64url JSON. The list is sorted newest first
+ * with _id breaking ties, so a page never repeats or skips rows while new
+ * errors arrive.
+ */
+export const LIST_SORT = { timestamp: -1, _id: -1 };
+
+export function encodeCursor(doc) {
+  const payload = { t: doc.timestamp.toISOString(), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/** Returns { timestamp, id } or null for a cursor this module didn't make. */
+export function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const timestamp = new Date(t);
+    if (typeof t !== "string" || isNaN(timestamp) || !ObjectId.isValid(id)) {
+      return null;
+    }
+    return { timestamp, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/** Narrow `query` to the rows after `cursor` in LIST_SORT order. */
+export function afterCursor(query, { timestamp, id }) {
+  return {
+    $and: [
+      query,
+      {
+        $or: [
+          { timestamp: { $lt: timestamp } },
+          { timestamp, _id: { $lt: id } },
+        ],
+      },
+    ],
+  };
+}
+
+export const APPROX_TOTAL_CAP = 10000;
+
+/**
+ * A total cheap enough to send with every cursor page: the collection's
+ * metadata count when unfiltered, otherwise a count that stops at
+ * APPROX_TOTAL_CAP. Returns { total, capped }.
+ */
+export async function approximateTotal(collection, query, filtered) {
+  if (!filtered) {
+    return { total: await collection.estimatedDocumentCount(), capped: false };
+  }
+  const total = await collection.countDocuments(query, {
+    limit: APPROX_TOTAL_CAP,
+  });
+  return { total, capped: total >= APPROX_TOTAL_CAP };
+}
@@ -0,0 +1,52 @@
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Regression detection ───────────────────── */
+
+/**
+ * A new occurrence whose fingerprint matches errors already marked
+ * resolved in the same project flips those errors to "regressed" and
+ * appends a regression event to their history.
+ *
+ * Returns the regression event (also to be stored on the new occurrence),
+ * or null when nothing was resolved. Safe to repeat for the same event.
+ */
+export async function detectRegression(db, event) {
+  const { _id, projectId, fingerprint, timestamp } = event;
+  const errors = db.collection(COLLECTIONS.errors);
+  const filter = { fingerprint, projectId, status: "resolved" };
+
+  // A retried enrichment finds the errors it already flipped
+  const flipped = await errors.findOne(
+    { fingerprint, projectId, "regressions.errorId": _id },
+    { projection: { "regressions.$": 1 } },
+  );
+  if (flipped) return flipped.regressions[0];
+
+  // Most recent resolution tells us when (and by whom) it was "fixed"
+  const resolved = await errors.findOne(filter, {
+    sort: { statusChangedAt: -1 },
+    projection: { statusChangedAt: 1, statusChangedBy: 1 },
+  });
+  if (!resolved) return null;
+
+  const regression = {
+    at: timestamp,
+    errorId: _id,
+    resolvedAt: resolved.statusChangedAt ?? null,
+    resolvedBy: resolved.statusChangedBy ?? null,
+  };
+
+  await errors.updateMany(filter, {
+    $set: {
+      status: "regressed",
+      statusChangedAt: timestamp,
+      statusChangedBy: null,
+    },
+    $push: {
+      statusHistory: { status: "regressed", by: null, at: timestamp },
+      regressions: regression,
+    },
+  });
+
+  return regression;
+}
@@ -0,0 +1,359 @@
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { promisify } from "util";
+import { gzip } from "zlib";
+import { BSON, GridFSBucket, ObjectId } from "mongodb";
+import { deleteAttachments } from "./attachments.js";
+import { writeAudit } from "./audit.js";
+import { COLLECTIONS } from "./collections.js";
+import { enqueueJob } from "./jobs.js";
+import { deleteComments } from "./triage.js";
+
+const gzipAsync = promisify(gzip);
+
+/* ───────────────────── Retention & archival ───────────────────── */
+
+/**
+ * Per-project settings kept on the project document as `retention`:
+ *
+ *   {
+ *     occurrencesDays: 30,   // errors.pixpro, by occurrence timestamp
+ *     issuesDays: 365,       // errors.issues, by lastSeen
+ *     archive: true,         // write expired data to .ndjson.gz first
+ *   }
+ *
+ * `null` keeps data forever, which is also the default. Retention can't
+ * be a plain TTL index — windows differ per project and archiving has to
+ * happen before removal — so a "retention" job purges expired data in
+ * bounded passes. The worker keeps one such job scheduled (see
+ * scheduleRetention); ingest routes don't run it inline.
+ *
+ * Archives are gzipped Extended JSON lines (mongoimport-compatible), one
+ * file per purged batch, described in `errors.archives`:
+ *   { _id, projectId, kind: "occurrences" | "issues", name, count, from,
+ *     to, size, store, createdAt }
+ * Attachment bytes are not archived.
+ */
+export const RETENTION_JOB = "retention";
+
+export const DEFAULT_RETENTION = {
+  occurrencesDays: null,
+  issuesDays: null,
+  archive: false,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETENTION_DAYS = 3650;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+// Keeps one pass well inside the job lock; leftovers go to the next pass
+const MAX_BATCHES_PER_RUN = 10;
+
+/* ── Settings ── */
+
+/**
+ * Validate project retention settings (a partial object is merged over
+ * `previous`, the stored settings when updating, or the defaults).
+ * Returns { retention } or { error } with a message.
+ */
+export function normalizeRetention(input, previous = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Invalid retention: expected an object." };
+  }
+  const out = { ...DEFAULT_RETENTION, ...previous };
+
+  for (const key of ["occurrencesDays", "issuesDays"]) {
+    const value = input[key];
+    if (value === undefined) continue;
+    if (
+      value !== null &&
+      (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS)
+    ) {
+      return {
+        error: `Invalid retention.${key}: expected 1–${MAX_RETENTION_DAYS} days or null.`,
+      };
+    }
+    out[key] = value;
+  }
+
+  // An issue must outlive its occurrences, or they'd point at nothing
+  if (
+    out.issuesDays != null &&
+    (out.occurrencesDays == null || out.issuesDays < out.occurrencesDays)
+  ) {
+    return {
+      error:
+        "Invalid retention: issuesDays must be at least occurrencesDays " +
+        "(and needs occurrencesDays to be set).",
+    };
+  }
+
+  if (input.archive !== undefined) out.archive = Boolean(input.archive);
+  return { retention: out };
+}
+
+/* ── Archive stores ── */
+
+const GRIDFS_BUCKET = "archives";
+
+const STORES = {
+  gridfs: {
+    async put(db, id, data, { name }) {
+      const bucket = new GridFSBucket(db, { bucketName: GRIDFS_BUCKET });
+      await new Promise((resolve, reject) => {
+        bucket
+          .openUploadStreamWithId(id, name, {
+            metadata: { contentType: "application/gzip" },
+          })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(data);
+      });
+    },
+    async read(db, id) {
+      const bucket = new GridFSBucket(db, { bucketName: GRIDFS_BUCKET });
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(id)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+  },
+
+  fs: {
+    dir() {
+      return process.env.PIXPRO_ARCHIVE_DIR || path.resolve("archives");
+    },
+    async put(db, id, data, { name }) {
+      const file = path.join(this.dir(), name);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, data);
+    },
+    async read(db, id, { name }) {
+      return readFile(path.join(this.dir(), name));
+    },
+  },
+};
+
+function activeStore() {
+  const name = process.env.PIXPRO_ARCHIVE_STORE || "gridfs";
+  if (!STORES[name]) throw new Error(`Unknown archive store "${name}".`);
+  return name;
+}
+
+/** "2026-01-31T10-00-00Z" — safe in file names. */
+function stamp(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")
+    .replace(/:/g, "-");
+}
+
+/** Gzip `docs` as Extended JSON lines and record the archive. */
+async function archiveDocs(db, { projectId, kind, docs, dateField }) {
+  const store = activeStore();
+  const _id = new ObjectId();
+  const from = docs[0][dateField];
+  const to = docs[docs.length - 1][dateField];
+  // Project ids are user-chosen; keep them from escaping the directory
+  const safeProject = String(projectId).replace(/[^\w.-]/g, "_");
+  const name =
+    `${safeProject}/${kind}/` +
+    `${stamp(from)}_${stamp(to)}_${_id}.ndjson.gz`;
+
+  const ndjson = docs.map((doc) => BSON.EJSON.stringify(doc)).join("\n");
+  const data = await gzipAsync(`${ndjson}\n`);
+  await STORES[store].put(db, _id, data, { name });
+
+  const meta = {
+    _id,
+    projectId,
+    kind,
+    name,
+    count: docs.length,
+    from,
+    to,
+    size: data.length,
+    store,
+    createdAt: new Date(),
+  };
+  await db.collection(COLLECTIONS.archives).insertOne(meta);
+  return meta;
+}
+
+/** Metadata plus the gzipped bytes for the download route, or null. */
+export async function readArchive(db, id) {
+  const meta = await db.collection(COLLECTIONS.archives).findOne({ _id: id });
+  if (!meta) return null;
+  const data = await STORES[meta.store].read(db, meta._id, meta);
+  return { meta, data };
+}
+
+/* ── Purging ── */
+
+function retentionFilters(project, now) {
+  const policy = { ...DEFAULT_RETENTION, ...(project.retention ?? {}) };
+  const filters = {};
+  if (policy.occurrencesDays != null) {
+    filters.occurrences = {
+      projectId: project.projectId,
+      timestamp: { $lt: new Date(now - policy.occurrencesDays * DAY_MS) },
+    };
+  }
+  // Issues are shared across projects; only those this project alone
+  // reported follow its policy
+  if (policy.issuesDays != null) {
+    filters.issues = {
+      projects: project.projectId,
+      "projects.1": { $exists: false },
+      lastSeen: { $lt: new Date(now - policy.issuesDays * DAY_MS) },
+    };
+  }
+  return { policy, filters };
+}
+
+/** How much a purge would remove right now, per project. */
+export async function previewRetention(db, project, now = new Date()) {
+  const { policy, filters } = retentionFilters(project, now);
+  const [occurrences, issues] = await Promise.all([
+    filters.occurrences
+      ? db.collection(COLLECTIONS.errors).countDocuments(filters.occurrences)
+      : 0,
+    filters.issues
+      ? db.collection(COLLECTIONS.issues).countDocuments(filters.issues)
+      : 0,
+  ]);
+  return { projectId: project.projectId, policy, occurrences, issues };
+}
+
+/**
+ * Remove (and optionally archive) up to `maxBatches` batches of expired
+ * data for one project, oldest first. Each batch is archived before it is
+ * deleted, so a failure leaves data in place rather than lost.
+ * Returns { projectId, occurrences, issues, archives, more }.
+ */
+export async function purgeProject(
+  db,
+  project,
+  { now = new Date(), maxBatches = MAX_BATCHES_PER_RUN } = {},
+) {
+  const { policy, filters } = retentionFilters(project, now);
+  const result = {
+    projectId: project.projectId,
+    occurrences: 0,
+    issues: 0,
+    archives: [],
+    more: false,
+  };
+
+  const targets = [
+    ["occurrences", COLLECTIONS.errors, "timestamp"],
+    ["issues", COLLECTIONS.issues, "lastSeen"],
+  ];
+  let batches = 0;
+  for (const [kind, collectionName, dateField] of targets) {
+    if (!filters[kind]) continue;
+    const collection = db.collection(collectionName);
+
+    while (batches < maxBatches) {
+      const docs = await collection
+        .find(filters[kind])
+        .sort({ [dateField]: 1 })
+        .limit(BATCH_SIZE)
+        .toArray();
+      if (!docs.length) break;
+      batches++;
+
+      if (policy.archive) {
+        const meta = await archiveDocs(db, {
+          projectId: project.projectId,
+          kind,
+          docs,
+          dateField,
+        });
+        result.archives.push(meta._id);
+      }
+
+      const ids = docs.map((d) => d._id);
+      if (kind === "occurrences") {
+        await deleteAttachments(db, { errorId: { $in: ids } });
+        await deleteComments(db, { errorId: { $in: ids } });
+      } else {
+        await deleteComments(db, { issueId: { $in: ids } });
+      }
+      const { deletedCount } = await collection.deleteMany({
+        _id: { $in: ids },
+      });
+      result[kind] += deletedCount;
+
+      if (docs.length < BATCH_SIZE) break;
+    }
+    if (batches >= maxBatches) {
+      result.more = true;
+      break;
+    }
+  }
+
+  return result;
+}
+
+/* ── Scheduling ── */
+
+/**
+ * Make sure a retention pass is queued. At most one is kept pending or
+ * running; `exclude` is the job calling this from its own handler.
+ */
+export async function scheduleRetention(db, { runAt, exclude } = {}) {
+  const existing = await db.collection(COLLECTIONS.jobs).findOne({
+    type: RETENTION_JOB,
+    status: { $in: ["pending", "running"] },
+    ...(exclude && { _id: { $ne: exclude } }),
+  });
+  if (existing) return existing;
+  return enqueueJob(db, { type: RETENTION_JOB, runAt, maxAttempts: 3 });
+}
+
+/**
+ * Job handler for RETENTION_JOB: one bounded pass over every project with
+ * a policy, then the next pass is queued — right away if something was
+ * left over, otherwise after RETENTION_INTERVAL_MS.
+ */
+export async function runRetention(db, job) {
+  const now = new Date();
+  const projects = await db
+    .collection(COLLECTIONS.projects)
+    .find({
+      $or: [
+        { "retention.occurrencesDays": { $ne: null } },
+        { "retention.issuesDays": { $ne: null } },
+      ],
+    })
+    .toArray();
+
+  let more = false;
+  for (const project of projects) {
+    const result = await purgeProject(db, project, { now });
+    more ||= result.more;
+    if (result.occurrences || result.issues) {
+      await writeAudit(db, {
+        action: "retention.purge",
+        session: null,
+        target: { projectId: project.projectId },
+        result: {
+          occurrences: result.occurrences,
+          issues: result.issues,
+          archives: result.archives,
+        },
+      });
+    }
+  }
+
+  await scheduleRetention(db, {
+    runAt: more ? now : new Date(now.getTime() + RETENTION_INTERVAL_MS),
+    exclude: job._id,
+  });
+}
+
+export const RETENTION_HANDLERS = {
+  [RETENTION_JOB]: runRetention,
+};
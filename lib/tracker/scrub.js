@@ -0,0 +1,361 @@
+/* ───────────────────── PII scrubbing ───────────────────── */
+
+/**
+ * Per-project rules applied to every event before it is stored (and again
+ * by the export, for documents stored before the rules existed). Kept on
+ * the project document as `scrubbing`:
+ *
+ *   {
+ *     enabled: true,
+ *     denyKeys: ["password", "deviceInfo.employeeDetails"],
+ *     patterns: ["email", "phone", "token"],
+ *     custom: [{ name: "orderId", pattern: "ORD-\\d+", flags: "i" }],
+ *     geoPrecision: 2,
+ *   }
+ *
+ * A deny key without dots matches that key at any depth (case- and
+ * separator-insensitive, so "apiKey" also catches "api_key"); a dotted
+ * key is a path from the event root. Its value is replaced by
+ * "[Filtered]". Patterns replace matches inside string values;
+ * geoPrecision rounds geo.lat/lon to that many decimals (null keeps them).
+ *
+ * Every event records the rules that changed something in
+ * `scrubbed: { rules: [...] }` ("email", "key:password", "geo", …).
+ */
+
+export const FILTERED = "[Filtered]";
+
+function luhn(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in patterns, referenced by name from `patterns`. They run in this
+ * order whatever order a project lists them in.
+ */
+export const BUILTIN_PATTERNS = {
+  email: {
+    regex: /[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+    replacement: "[email]",
+  },
+  // Numbers passing the Luhn check. Unseparated runs only at card lengths
+  // (15/16), so millisecond timestamps and other ids survive.
+  creditCard: {
+    regex: /\b(?:\d[ -]?){12,18}\d\b/g,
+    replacement: (match) => {
+      const bare = /^\d+$/.test(match);
+      if (bare && match.length !== 15 && match.length !== 16) return match;
+      return luhn(match) ? "[card]" : match;
+    },
+  },
+  // International or local numbers, grouped by spaces, dots, dashes or
+  // parentheses, or an unbroken run after "+". Bare digit runs are more
+  // often timestamps or ids, and fewer than 10 digits more often a date.
+  phone: {
+    regex: /(?<![\w/:.+])\+?\(?\d[\d\s().-]{7,}\d(?![\w/:])/g,
+    replacement: (match) => {
+      const digits = match.replace(/\D/g, "").length;
+      const grouped = match.startsWith("+") || /[\s().-]/.test(match);
+      return grouped && digits >= 10 && digits <= 15 ? "[phone]" : match;
+    },
+  },
+  // JWTs, bearer credentials, well-known key prefixes and secret-looking
+  // query parameters
+  token: {
+    regex: new RegExp(
+      [
+        /\beyJ[\w-]+\.[\w-]+\.[\w-]+/.source,
+        /\bBearer\s+[\w.~+/-]+=*/.source,
+        /\b(?:sk|pk|rk)_(?:live|test)_\w+/.source,
+        /\b(?:ghp|gho|ghs|xox[abpr]|pxu)_[\w-]+/.source,
+        // Stops at ":" and ")" so stack frame locations stay parseable
+        /(?<=[?&;](?:access_token|api_?key|auth|key|password|secret|token)=)[^&#\s:()"']+/
+          .source,
+      ].join("|"),
+      "gi",
+    ),
+    replacement: "[token]",
+  },
+  ipv4: {
+    regex: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+    replacement: "[ip]",
+  },
+};
+
+export const DEFAULT_SCRUBBING = {
+  enabled: true,
+  denyKeys: [
+    "password",
+    "passwd",
+    "secret",
+    "token",
+    "accessToken",
+    "refreshToken",
+    "apiKey",
+    "authorization",
+    "cookie",
+    "sessionId",
+  ],
+  patterns: ["email", "token"],
+  custom: [],
+  geoPrecision: 2,
+};
+
+const MAX_DENY_KEYS = 100;
+const MAX_CUSTOM_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_GEO_PRECISION = 6;
+
+// Parts of the event that carry client-supplied data. Everything else is
+// either ours (ids, timestamps, enrichment state) or derived from these.
+const SCRUBBED_FIELDS = [
+  "error",
+  "tags",
+  "user",
+  "deviceInfo",
+  "locationInfo",
+  "breadcrumbs",
+];
+
+/** "api_key", "API-Key" and "apiKey" all compare equal. */
+function keyToken(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, "");
+}
+
+/**
+ * Validate project scrubbing settings. A partial object is merged over
+ * `previous` (the stored settings when updating) or the defaults; a list
+ * that is given replaces the current list rather than extending it.
+ * Returns { scrubbing } or { error } with a message.
+ */
+export function normalizeScrubbing(input, previous = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Invalid scrubbing: expected an object." };
+  }
+  const out = { ...DEFAULT_SCRUBBING, ...previous };
+
+  if (input.enabled !== undefined) out.enabled = Boolean(input.enabled);
+
+  if (input.denyKeys !== undefined) {
+    if (
+      !Array.isArray(input.denyKeys) ||
+      input.denyKeys.length > MAX_DENY_KEYS ||
+      !input.denyKeys.every((k) => typeof k === "string" && k.trim())
+    ) {
+      return {
+        error: `Invalid scrubbing.denyKeys: expected up to ${MAX_DENY_KEYS} key names or paths.`,
+      };
+    }
+    out.denyKeys = [...new Set(input.denyKeys.map((k) => k.trim()))];
+  }
+
+  if (input.patterns !== undefined) {
+    if (
+      !Array.isArray(input.patterns) ||
+      !input.patterns.every((p) => p in BUILTIN_PATTERNS)
+    ) {
+      return {
+        error: `Invalid scrubbing.patterns: expected any of ${Object.keys(BUILTIN_PATTERNS).join(", ")}.`,
+      };
+    }
+    out.patterns = [...new Set(input.patterns)];
+  }
+
+  if (input.custom !== undefined) {
+    if (
+      !Array.isArray(input.custom) ||
+      input.custom.length > MAX_CUSTOM_PATTERNS
+    ) {
+      return {
+        error: `Invalid scrubbing.custom: expected up to ${MAX_CUSTOM_PATTERNS} patterns.`,
+      };
+    }
+    const custom = [];
+    for (const rule of input.custom) {
+      const name = typeof rule?.name === "string" ? rule.name.trim() : "";
+      const pattern = rule?.pattern;
+      const flags = rule?.flags ?? "";
+      if (
+        !name ||
+        typeof pattern !== "string" ||
+        !pattern ||
+        pattern.length > MAX_PATTERN_LENGTH ||
+        typeof flags !== "string" ||
+        !/^[imsu]*$/.test(flags)
+      ) {
+        return {
+          error:
+            "Invalid scrubbing.custom: each rule needs a name, a pattern of at most " +
+            `${MAX_PATTERN_LENGTH} characters and flags from "imsu".`,
+        };
+      }
+      try {
+        new RegExp(pattern, flags);
+      } catch (err) {
+        return { error: `Invalid scrubbing.custom "${name}": ${err.message}` };
+      }
+      custom.push({
+        name,
+        pattern,
+        flags,
+        replacement:
+          typeof rule.replacement === "string"
+            ? rule.replacement.slice(0, 50)
+            : FILTERED,
+      });
+    }
+    out.custom = custom;
+  }
+
+  if (input.geoPrecision !== undefined) {
+    const p = input.geoPrecision;
+    if (
+      p !== null &&
+      (!Number.isInteger(p) || p < 0 || p > MAX_GEO_PRECISION)
+    ) {
+      return {
+        error: `Invalid scrubbing.geoPrecision: expected 0–${MAX_GEO_PRECISION} or null.`,
+      };
+    }
+    out.geoPrecision = p;
+  }
+
+  return { scrubbing: out };
+}
+
+/**
+ * Compile a project's settings (or the defaults when it has none) into
+ * the shape scrubEvent() works with. Stored settings were validated on
+ * save, so a rule that no longer compiles is skipped rather than thrown.
+ */
+export function compileScrubbing(settings) {
+  const s = { ...DEFAULT_SCRUBBING, ...(settings ?? {}) };
+  if (!s.enabled) return null;
+
+  const patterns = [];
+  for (const [name, builtin] of Object.entries(BUILTIN_PATTERNS)) {
+    if (s.patterns?.includes(name)) patterns.push({ name, ...builtin });
+  }
+  for (const rule of s.custom ?? []) {
+    try {
+      const flags = rule.flags.includes("g") ? rule.flags : `${rule.flags}g`;
+      patterns.push({
+        name: `custom:${rule.name}`,
+        regex: new RegExp(rule.pattern, flags),
+        replacement: rule.replacement ?? FILTERED,
+      });
+    } catch {
+      // skip — see above
+    }
+  }
+
+  const anyDepth = new Set();
+  const paths = new Set();
+  for (const key of s.denyKeys ?? []) {
+    if (key.includes(".")) paths.add(key);
+    else anyDepth.add(keyToken(key));
+  }
+
+  return {
+    patterns,
+    anyDepth,
+    paths,
+    geoPrecision: s.geoPrecision ?? null,
+  };
+}
+
+function scrubString(value, rules, fired) {
+  let out = value;
+  for (const { name, regex, replacement } of rules.patterns) {
+    regex.lastIndex = 0;
+    const next = out.replace(regex, replacement);
+    if (next !== out) {
+      fired.add(name);
+      out = next;
+    }
+  }
+  return out;
+}
+
+function deniedKey(key, path, rules) {
+  if (rules.paths.has(path)) return `key:${path}`;
+  if (rules.anyDepth.has(keyToken(key))) return `key:${key}`;
+  return null;
+}
+
+function scrubValue(value, path, rules, fired, depth) {
+  if (typeof value === "string") return scrubString(value, rules, fired);
+  if (!value || typeof value !== "object" || depth > 10) return value;
+  // Dates, ObjectIds and the like are ours, not client text
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+    return value;
+  }
+
+  // Array indexes aren't part of paths: "breadcrumbs.data.url"
+  if (Array.isArray(value)) {
+    return value.map((v) => scrubValue(v, path, rules, fired, depth + 1));
+  }
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    const denied = v != null && deniedKey(key, childPath, rules);
+    if (denied) {
+      fired.add(denied);
+      out[key] = FILTERED;
+    } else {
+      out[key] = scrubValue(v, childPath, rules, fired, depth + 1);
+    }
+  }
+  return out;
+}
+
+function roundCoordinate(value, precision) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return value;
+  const factor = 10 ** precision;
+  return Math.round(n * factor) / factor;
+}
+
+/**
+ * Apply compiled rules (see compileScrubbing) to an event document.
+ * Returns a new document; `scrubbed` lists the rules that fired.
+ * `null` rules (scrubbing disabled) leave the event as is.
+ */
+export function scrubEvent(event, rules) {
+  if (!rules) return { ...event, scrubbed: { rules: [] } };
+
+  const fired = new Set();
+  const out = { ...event };
+  for (const field of SCRUBBED_FIELDS) {
+    if (out[field] != null) {
+      out[field] = scrubValue(out[field], field, rules, fired, 0);
+    }
+  }
+
+  if (rules.geoPrecision != null && out.geo && typeof out.geo === "object") {
+    const geo = { ...out.geo };
+    for (const axis of ["lat", "lon"]) {
+      if (geo[axis] == null) continue;
+      const rounded = roundCoordinate(geo[axis], rules.geoPrecision);
+      if (rounded !== geo[axis]) {
+        geo[axis] = rounded;
+        fired.add("geo");
+      }
+    }
+    out.geo = geo;
+  }
+
+  return { ...out, scrubbed: { rules: [...fired] } };
+}
@@ -0,0 +1,161 @@
+/* ───────────────────── Search query language ───────────────────── */
+
+/**
+ * `?q=` for the routes that take buildErrorQuery filters, e.g.
+ *
+ *   message:"timeout" browser:Chrome status:unresolved since:7d
+ *
+ * Bare words and "quoted phrases" are a full-text search over the error
+ * message and stack (see the text index in collections.js). `key:value`
+ * tokens are filters; quote values that contain spaces. Each key may
+ * appear once, and wins over the same filter given as its own parameter.
+ *
+ * Filters match what was stored, i.e. after PII scrubbing: in projects
+ * that scrub emails (the default), `user:` never matches an address —
+ * search by user id or username there.
+ */
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// key → the buildErrorQuery parameter it stands for
+const PARAM_FILTERS = {
+  project: "projectId",
+  projectId: "projectId",
+  issue: "issueId",
+  issueId: "issueId",
+  status: "status",
+  release: "release",
+  environment: "environment",
+  env: "environment",
+  browser: "browser",
+  os: "os",
+  device: "device",
+  country: "country",
+  assignee: "assignee",
+  assigned: "assignee",
+};
+
+const FIELD_FILTERS = {
+  // case-insensitive substring
+  message: (value) => ({ "error.message": containsRegex(value) }),
+  stack: (value) => ({ "error.stack": containsRegex(value) }),
+  // exact error name, e.g. type:TypeError
+  type: (value) => ({ "error.name": value }),
+  user: (value) => ({
+    $or: [
+      { "user.id": value },
+      { "user.email": value },
+      { "user.username": value },
+      { userId: value },
+      { "deviceInfo.employeeDetails.code": value },
+    ],
+  }),
+};
+
+const TIME_FILTERS = { since: "from", until: "to" };
+
+export const SEARCH_KEYS = [
+  ...Object.keys(PARAM_FILTERS),
+  ...Object.keys(FIELD_FILTERS),
+  ...Object.keys(TIME_FILTERS),
+];
+
+export function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function containsRegex(value) {
+  return { $regex: escapeRegex(value), $options: "i" };
+}
+
+/** Split on whitespace, keeping "quoted runs" (and key:"quoted values"). */
+function tokenize(q) {
+  const tokens = [];
+  const re = /\s*(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/y;
+  let m;
+  while (re.lastIndex < q.length && (m = re.exec(q))) {
+    const [, key, quoted, bare] = m;
+    if (/^[A-Za-z]+:$/.test(bare ?? "")) {
+      return { error: `Missing value for "${bare}".` };
+    }
+    if (bare?.includes('"')) {
+      return { error: `Unterminated quote in search: ${bare}` };
+    }
+    tokens.push({ key, value: quoted ?? bare, quoted: quoted != null });
+  }
+  // Only whitespace left over
+  if (re.lastIndex < q.length && q.slice(re.lastIndex).trim()) {
+    return { error: "Invalid search query." };
+  }
+  return { tokens };
+}
+
+/** "7d" → 7 days before `now`; anything else must parse as a date. */
+function parseTime(key, value, now) {
+  const duration = value.match(/^(\d+)([mhdw])$/);
+  const date = duration
+    ? new Date(now.getTime() - duration[1] * DURATION_UNITS[duration[2]])
+    : new Date(value);
+  if (isNaN(date)) {
+    return {
+      error: `Invalid ${key}: "${value}". Use a duration (30m, 12h, 7d, 2w) or a date.`,
+    };
+  }
+  return { date };
+}
+
+/**
+ * Parse `q` into the pieces buildErrorQuery merges into its own:
+ *   params  – { projectId, browser, from, … } as if given in the URL
+ *   clauses – extra Mongo conditions to AND with the rest
+ * Returns { params, clauses } or { error }.
+ */
+export function parseSearch(q, now = new Date()) {
+  const { tokens, error } = tokenize(q);
+  if (error) return { error };
+
+  const params = {};
+  const clauses = [];
+  const seen = new Set();
+  const text = [];
+
+  for (const { key, value, quoted } of tokens) {
+    if (!key) {
+      text.push(quoted ? `"${value}"` : value);
+      continue;
+    }
+
+    const known = [PARAM_FILTERS, FIELD_FILTERS, TIME_FILTERS].find((filters) =>
+      Object.hasOwn(filters, key),
+    )?.[key];
+    if (!known) {
+      return {
+        error:
+          `Unknown search filter "${key}:". Expected one of: ` +
+          `${SEARCH_KEYS.join(", ")}. Quote the term to search for it as text.`,
+      };
+    }
+    if (!value.trim()) return { error: `Missing value for "${key}:".` };
+    if (seen.has(known)) {
+      return { error: `Search filter "${key}:" given more than once.` };
+    }
+    seen.add(known);
+
+    if (typeof known === "function") {
+      clauses.push(known(value));
+    } else if (Object.hasOwn(PARAM_FILTERS, key)) {
+      params[known] = value;
+    } else {
+      const { date, error: timeError } = parseTime(key, value, now);
+      if (timeError) return { error: timeError };
+      params[known] = date.toISOString();
+    }
+  }
+
+  if (text.length) clauses.push({ $text: { $search: text.join(" ") } });
+  return { params, clauses };
+}
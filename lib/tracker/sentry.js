@@ -0,0 +1,204 @@
+/* ───────────────────── Sentry protocol ───────────────────── */
+
+/**
+ * Just enough of the Sentry ingest protocol for the stock browser/Node
+ * SDKs to report here. Point the SDK at
+ *   dsn: "https://<ingest key>@<host>/api/error/sentry/1"
+ * and it posts to /api/error/sentry/api/1/envelope/ (or /store/ on old
+ * SDKs). The project comes from the ingest key: SDKs reject DSNs whose
+ * last segment isn't numeric, so any number will do there. A non-numeric
+ * segment is still checked against the key's projectId. Events are
+ * translated to the payload POST /api/error accepts, so they are stored,
+ * symbolicated and grouped the same way.
+ */
+
+/** The projectId a DSN path pins, or null for a numeric placeholder. */
+export function dsnProjectId(segment) {
+  return !segment || /^\d+$/.test(segment) ? null : segment;
+}
+
+/** Key from `X-Sentry-Auth: Sentry sentry_key=…, …` or `?sentry_key=`. */
+export function readSentryKey(request) {
+  const header =
+    request.headers.get("x-sentry-auth") ||
+    request.headers.get("authorization");
+  const match = header && /sentry_key=([^,\s]+)/.exec(header);
+  if (match) return match[1];
+  return new URL(request.url).searchParams.get("sentry_key");
+}
+
+/* ── Envelopes ── */
+
+/**
+ * Split an envelope into { header, items: [{ header, payload }] }.
+ * Item payloads are Buffers; an item header's `length` is honoured so
+ * binary attachments containing newlines don't break parsing.
+ */
+export function parseEnvelope(buffer) {
+  let offset = 0;
+  const readLine = () => {
+    const end = buffer.indexOf(0x0a, offset);
+    const line = buffer.subarray(offset, end === -1 ? buffer.length : end);
+    offset = end === -1 ? buffer.length : end + 1;
+    return line;
+  };
+
+  const header = JSON.parse(readLine().toString("utf8") || "{}");
+  const items = [];
+  while (offset < buffer.length) {
+    const rawHeader = readLine().toString("utf8").trim();
+    if (!rawHeader) continue;
+    const itemHeader = JSON.parse(rawHeader);
+
+    let payload;
+    if (typeof itemHeader.length === "number") {
+      payload = buffer.subarray(offset, offset + itemHeader.length);
+      offset += itemHeader.length;
+      if (buffer[offset] === 0x0a) offset++;
+    } else {
+      payload = readLine();
+    }
+    items.push({ header: itemHeader, payload });
+  }
+  return { header, items };
+}
+
+/* ── Event translation ── */
+
+const CONSOLE_LEVELS = {
+  warning: "warn",
+  fatal: "error",
+  critical: "error",
+  log: "log",
+  info: "info",
+  debug: "debug",
+  error: "error",
+};
+
+/** Sentry timestamps are unix seconds (float) or RFC 3339 strings. */
+function toMillis(ts) {
+  if (typeof ts === "number") return Math.round(ts * 1000);
+  return ts ?? null;
+}
+
+function translateBreadcrumb(c) {
+  if (!c || typeof c !== "object") return null;
+  const data = c.data || {};
+  const timestamp = toMillis(c.timestamp);
+
+  switch (c.category) {
+    case "navigation":
+      return {
+        type: "navigation",
+        timestamp,
+        data: { from: data.from, to: data.to },
+      };
+    case "ui.click":
+      return {
+        type: "click",
+        timestamp,
+        data: { selector: c.message },
+      };
+    case "console":
+      return {
+        type: "console",
+        timestamp,
+        level: CONSOLE_LEVELS[c.level] ?? "log",
+        message: c.message,
+      };
+    case "fetch":
+    case "xhr":
+      return {
+        type: "fetch",
+        timestamp,
+        data: {
+          method: data.method,
+          url: data.url,
+          status: data.status_code,
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sentry frames → a V8-style stack string, newest frame first, which is
+ * what the native clients send and what the source mapper parses.
+ */
+function stackFromFrames(name, message, frames) {
+  const lines = [`${name}: ${message}`];
+  for (const f of [...frames].reverse()) {
+    const file = f.abs_path || f.filename;
+    if (!file || !f.lineno) continue;
+    const loc = `${file}:${f.lineno}:${f.colno ?? 0}`;
+    lines.push(f.function ? `    at ${f.function} (${loc})` : `    at ${loc}`);
+  }
+  return lines.join("\n");
+}
+
+function contextName(ctx) {
+  if (!ctx?.name) return null;
+  return ctx.version ? `${ctx.name} ${ctx.version}` : ctx.name;
+}
+
+/**
+ * A Sentry event as a native ingest payload (see buildEvent), or null
+ * when it carries nothing we store (e.g. a transaction).
+ */
+export function translateSentryEvent(event) {
+  if (!event || typeof event !== "object") return null;
+
+  // The last exception value is the one that was thrown; earlier ones are
+  // its causes.
+  const values = event.exception?.values ?? [];
+  const exception = values[values.length - 1];
+
+  let error;
+  if (exception) {
+    const name = exception.type || "Error";
+    const message = exception.value || name;
+    const frames = exception.stacktrace?.frames ?? [];
+    error = {
+      name,
+      message,
+      stack: frames.length ? stackFromFrames(name, message, frames) : null,
+    };
+  } else {
+    const message =
+      event.logentry?.formatted ||
+      event.logentry?.message ||
+      (typeof event.message === "string"
+        ? event.message
+        : event.message?.formatted);
+    if (!message) return null;
+    error = { name: "Message", message, stack: null };
+  }
+
+  const crumbs = Array.isArray(event.breadcrumbs)
+    ? event.breadcrumbs
+    : event.breadcrumbs?.values ?? [];
+
+  const headers = event.request?.headers ?? {};
+  const contexts = event.contexts ?? {};
+
+  return {
+    error,
+    release: event.release,
+    environment: event.environment,
+    timestamp: toMillis(event.timestamp),
+    tags: event.tags,
+    user: event.user,
+    breadcrumbs: crumbs.map(translateBreadcrumb).filter(Boolean),
+    deviceInfo: {
+      browser: contextName(contexts.browser),
+      os: contextName(contexts.os),
+      device: contextName(contexts.device) ?? contexts.device?.model ?? null,
+      userAgent: headers["User-Agent"] ?? headers["user-agent"] ?? null,
+    },
+    locationInfo: {
+      url: event.request?.url ?? null,
+      referrer: headers.Referer ?? headers.referer ?? null,
+    },
+  };
+}
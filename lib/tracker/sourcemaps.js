@@ -0,0 +1,248 @@
+import { SourceMapConsumer } from "source-map-js";
+import { parseFrames } from "./stack.js";
+import { fetchWithTimeout } from "./http.js";
+import { artifactCandidates, findArtifact } from "./artifacts.js";
+import { LruCache } from "./cache.js";
+import { COLLECTIONS } from "./collections.js";
+
+/* ───────────────────── Snippets ───────────────────── */
+
+/** ±5 lines around `line`, with the offending line marked ">>". */
+function formatSnippet(text, line) {
+  const allLines = text.split("\n");
+
+  const ctx = 5;
+  const start = Math.max(0, line - ctx - 1);
+  const end = Math.min(allLines.length, line + ctx);
+
+  return allLines
+    .slice(start, end)
+    .map((l, idx) => {
+      const ln = start + idx + 1;
+      return ln === line
+        ? `>> ${ln.toString().padStart(4)} | ${l}`
+        : `   ${ln.toString().padStart(4)} | ${l}`;
+    })
+    .join("\n");
+}
+
+/* ───────────────────── Caches ───────────────────── */
+
+const MB = 1024 * 1024;
+const TTL_MS = 10 * 60 * 1000;
+// Missing maps/sources are remembered briefly so a burst doesn't refetch
+// them, but a deploy that adds them is picked up within a minute.
+const MISS_TTL_MS = 60 * 1000;
+
+const missTtl = (value) => (value === null ? MISS_TTL_MS : TTL_MS);
+
+/** Parsed consumers: { consumer, size } or null when no map was found. */
+const mapCache = new LruCache({
+  maxEntries: 100,
+  maxBytes: 150 * MB,
+  ttlMs: TTL_MS,
+  sizeOf: (entry) => entry.size,
+  onEvict: (entry) => entry?.consumer?.destroy?.(),
+});
+
+/** Original source text for snippets, or null when unavailable. */
+const sourceCache = new LruCache({
+  maxEntries: 500,
+  maxBytes: 50 * MB,
+  ttlMs: TTL_MS,
+  sizeOf: (text) => text.length,
+});
+
+/**
+ * Uploaded artifacts win over public files, so cache keys are scoped to
+ * the project/release whenever artifact lookups are enabled — and to the
+ * project's `artifactsChangedAt`, so an upload handled by one process
+ * retires what every other process (the worker included) cached before.
+ */
+function scopeKey(artifacts) {
+  if (!artifacts?.db) return "url:";
+  const { projectId, generation, release } = artifacts;
+  return `artifact:${projectId}:${generation}:${release ?? "*"}:`;
+}
+
+async function artifactGeneration(db, projectId) {
+  const project = await db
+    .collection(COLLECTIONS.projects)
+    .findOne({ projectId }, { projection: { artifactsChangedAt: 1 } })
+    .catch(() => null);
+  return project?.artifactsChangedAt?.getTime() ?? 0;
+}
+
+/**
+ * Call after artifacts of `projectId` change: bumps the project's
+ * `artifactsChangedAt` for every process and frees this one's copies now.
+ * Returns how many local entries were dropped.
+ */
+export async function invalidateArtifactCache(db, projectId) {
+  await db
+    .collection(COLLECTIONS.projects)
+    .updateOne({ projectId }, { $set: { artifactsChangedAt: new Date() } });
+  const prefix = `artifact:${projectId}:`;
+  return mapCache.deletePrefix(prefix) + sourceCache.deletePrefix(prefix);
+}
+
+/** Hit/miss counters for the metrics endpoint. */
+export function sourceMapCacheStats() {
+  return { maps: mapCache.stats(), sources: sourceCache.stats() };
+}
+
+/* ───────────────────── Map / source loading ───────────────────── */
+
+async function fetchText(url) {
+  try {
+    const res = await fetchWithTimeout(url, { cache: "no-store" });
+    if (!res?.ok) return null;
+    return await res.text();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Raw source map text for a bundle URL: uploaded artifacts for the
+ * project/release first, then `${url}.map` over the network.
+ */
+async function loadRawMap(bundleURL, artifacts) {
+  if (artifacts?.db) {
+    const artifact = await findArtifact(artifacts.db, {
+      ...artifacts,
+      names: artifactCandidates(bundleURL).map((n) => `${n}.map`),
+    }).catch(() => null);
+    if (artifact) return artifact.content;
+  }
+
+  return fetchText(`${bundleURL}.map`);
+}
+
+/**
+ * Parsed consumer for a bundle, shared by every frame (and every request)
+ * that points at the same file. Null when there is no usable map.
+ */
+async function loadConsumer(bundleURL, artifacts) {
+  const entry = await mapCache.getOrLoad(
+    `${scopeKey(artifacts)}${bundleURL}`,
+    async () => {
+      const rawMap = await loadRawMap(bundleURL, artifacts);
+      if (!rawMap) return null;
+      // source-map-js SourceMapConsumer constructor is synchronous,
+      // but wrap in try/catch because malformed maps throw.
+      try {
+        return { consumer: new SourceMapConsumer(rawMap), size: rawMap.length };
+      } catch {
+        return null;
+      }
+    },
+    missTtl,
+  );
+  return entry?.consumer ?? null;
+}
+
+/** Same order for original sources missing from `sourcesContent`. */
+async function loadSource(source, mapURL, artifacts) {
+  let absUrl = null;
+  try {
+    absUrl = new URL(source, mapURL).href;
+  } catch {
+    // Malformed URL — only an uploaded artifact can help
+  }
+
+  return sourceCache.getOrLoad(
+    `${scopeKey(artifacts)}${absUrl ?? source}`,
+    async () => {
+      if (artifacts?.db) {
+        const names = [source, ...(absUrl ? artifactCandidates(absUrl) : [])];
+        const artifact = await findArtifact(artifacts.db, {
+          ...artifacts,
+          names,
+        }).catch(() => null);
+        if (artifact) return artifact.content;
+      }
+      return absUrl ? fetchText(absUrl) : null;
+    },
+    missTtl,
+  );
+}
+
+/* ───────────────────── Source Map Resolver ───────────────────── */
+
+/**
+ * Resolve a minified stack to original positions + code snippets.
+ *
+ * `artifacts` ({ db, projectId, release }) enables lookups against maps
+ * uploaded through /api/error/artifacts; without it only public
+ * `${file}.map` URLs are tried.
+ */
+export async function mapStackTrace(minifiedStack, artifacts = null) {
+  if (!minifiedStack) return [];
+  if (artifacts?.db) {
+    const generation = await artifactGeneration(
+      artifacts.db,
+      artifacts.projectId,
+    );
+    artifacts = { ...artifacts, generation };
+  }
+
+  // Gracefully parse frames; never let this throw up to the caller.
+  let frames;
+  try {
+    frames = parseFrames(minifiedStack);
+  } catch {
+    return [];
+  }
+
+  const out = [];
+
+  for (const f of frames) {
+    if (!f.fileName || !f.lineNumber) continue;
+
+    try {
+      const mapURL = `${f.fileName}.map`;
+      // Cached consumers are shared — they're destroyed on eviction, not here.
+      const consumer = await loadConsumer(f.fileName, artifacts);
+      if (!consumer) continue;
+
+      const pos = consumer.originalPositionFor({
+        line: f.lineNumber,
+        column: f.columnNumber ?? 0,
+      });
+
+      if (!pos?.source || !pos?.line) continue;
+
+      // Prefer inline source content; fall back to uploaded/remote files.
+      let snippet = null;
+      try {
+        const inlineContent = consumer.sourceContentFor(pos.source, true);
+        if (inlineContent) snippet = formatSnippet(inlineContent, pos.line);
+      } catch {
+        // sourceContentFor can throw on missing sources — that's fine
+      }
+
+      if (!snippet) {
+        const text = await loadSource(pos.source, mapURL, artifacts);
+        if (text) snippet = formatSnippet(text, pos.line);
+      }
+
+      if (!snippet) continue;
+
+      if (out.length) out.push({ separator: true });
+
+      out.push({
+        function: f.functionName,
+        source: pos.source,
+        line: pos.line,
+        column: pos.column ?? 0,
+        snippet: `──────── ${pos.source} ────────\n${snippet}`,
+      });
+    } catch {
+      // Per-frame errors must never abort the whole trace
+      continue;
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,63 @@
+/* ───────────────────── Stack-trace parser (no stacktrace-js) ───────────────────── */
+
+/**
+ * Parse V8/Firefox stack frames without relying on stacktrace-js,
+ * which can throw when the Error object's stack is non-standard.
+ *
+ * Returns: Array<{ functionName, fileName, lineNumber, columnNumber }>
+ */
+export function parseFrames(stackString) {
+  const frames = [];
+  for (const raw of stackString.split("\n")) {
+    const line = raw.trim();
+
+    // V8:  "  at FnName (https://…/file.js:10:5)"
+    // V8:  "  at https://…/file.js:10:5"
+    const v8 = line.match(/^at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?$/);
+    if (v8) {
+      frames.push({
+        functionName: v8[1] ?? "<anonymous>",
+        fileName: v8[2],
+        lineNumber: parseInt(v8[3], 10),
+        columnNumber: parseInt(v8[4], 10),
+      });
+      continue;
+    }
+
+    // Firefox/Safari:  "fnName@https://…/file.js:10:5"
+    const ff = line.match(/^(.*)@(.+):(\d+):(\d+)$/);
+    if (ff) {
+      frames.push({
+        functionName: ff[1] || "<anonymous>",
+        fileName: ff[2],
+        lineNumber: parseInt(ff[3], 10),
+        columnNumber: parseInt(ff[4], 10),
+      });
+    }
+  }
+  return frames;
+}
+
+/* ───────────────────── Frame helpers ───────────────────── */
+
+// Library, runtime and browser-extension frames say nothing about *our* bug.
+const NOT_IN_APP =
+  /node_modules|webpack\/bootstrap|webpack\/runtime|^(chrome|moz|safari(-web)?)-extension:|^native$|^<anonymous>$/;
+
+export function isInAppFrame(file) {
+  if (!file) return false;
+  return !NOT_IN_APP.test(file);
+}
+
+/**
+ * Reduce a frame's file to something stable across deploys:
+ * no origin, no query/hash, no content hash in the bundle name.
+ *   https://cdn.x.com/_next/static/chunks/page-5e8a0c6f4d1b2a3c.js?v=2
+ *     → /_next/static/chunks/page.js
+ */
+export function stableFilePath(file = "") {
+  return file
+    .replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/[.-][0-9a-f]{8,}(?=\.\w+$)/i, "");
+}
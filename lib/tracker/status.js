@@ -0,0 +1,48 @@
+/* ───────────────────── Status lifecycle ───────────────────── */
+
+/**
+ * unresolved → resolved | ignored | rejected (and back again).
+ * Ingest moves resolved errors to "regressed" when they happen again.
+ * Documents ingested before statuses existed have no `status` field and
+ * count as unresolved.
+ */
+export const STATUSES = [
+  "unresolved",
+  "regressed",
+  "resolved",
+  "ignored",
+  "rejected",
+];
+
+export const DEFAULT_STATUS = "unresolved";
+
+/** Statuses that still need someone to look at them. */
+export const OPEN_STATUSES = ["unresolved", "regressed"];
+
+/** "regressed" is only ever set by ingest, never by hand. */
+export const SETTABLE_STATUSES = STATUSES.filter((s) => s !== "regressed");
+
+export function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+export function isSettableStatus(status) {
+  return SETTABLE_STATUSES.includes(status);
+}
+
+/** Mongo filter fragment for one status, legacy docs included. */
+export function statusQuery(status) {
+  if (status === DEFAULT_STATUS) {
+    return { status: { $in: [DEFAULT_STATUS, null] } };
+  }
+  return { status };
+}
+
+/** Update document that moves errors to `status`, recording who and when. */
+export function statusUpdate(status, session, at = new Date()) {
+  const by = session ? { id: session.id, name: session.name ?? null } : null;
+  return {
+    $set: { status, statusChangedAt: at, statusChangedBy: by },
+    $push: { statusHistory: { status, by, at } },
+  };
+}
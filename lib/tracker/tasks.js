@@ -0,0 +1,163 @@
+import { COLLECTIONS } from "./collections.js";
+import { writeAudit } from "./audit.js";
+import { errorPageUrl } from "./http.js";
+import { DEFAULT_STATUS, OPEN_STATUSES, statusUpdate } from "./status.js";
+
+/* ───────────────────── Tasks from errors ───────────────────── */
+
+/**
+ * The task manager (/api/tasks) keeps its data in its own database.
+ * A task created from an error carries `source: { type: "error", … }`
+ * and the linked occurrences carry its `taskId`. The issue keeps a
+ * { projectId, taskId } entry in `tasks` so later occurrences inherit the
+ * link at ingest. When the task's status changes, syncLinkedErrors()
+ * moves them along:
+ *
+ *   completed → open occurrences become "resolved"
+ *   pending   → "resolved" occurrences become unresolved again
+ *
+ * Ignored and rejected occurrences are left alone either way.
+ */
+export const TASKS_DB = "task-tracker";
+
+const STATUS_SYNC = {
+  completed: {
+    status: "resolved",
+    from: { $in: [...OPEN_STATUSES, null] },
+  },
+  pending: { status: DEFAULT_STATUS, from: "resolved" },
+};
+
+const MAX_TITLE = 120;
+const MAX_FRAMES = 15;
+
+function truncate(text, length) {
+  const value = String(text ?? "");
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Occurrences a task created from `event` links to: every occurrence of
+ * its issue in the same project, or just the one when it has no issue.
+ */
+export function linkFilter(event) {
+  return event.issueId
+    ? { issueId: event.issueId, projectId: event.projectId }
+    : { _id: event._id };
+}
+
+/**
+ * Reserve `taskId` for the error before the task is inserted, so two
+ * requests can't both create one: the issue's entry for the project, or
+ * the occurrence itself when it has no issue. Returns false when it is
+ * already linked to a task.
+ */
+export async function claimTaskLink(db, event, taskId) {
+  const { modifiedCount } = event.issueId
+    ? await db.collection(COLLECTIONS.issues).updateOne(
+        { _id: event.issueId, "tasks.projectId": { $ne: event.projectId } },
+        { $push: { tasks: { projectId: event.projectId, taskId } } },
+      )
+    : await db
+        .collection(COLLECTIONS.errors)
+        .updateOne({ _id: event._id, taskId: null }, { $set: { taskId } });
+  return modifiedCount === 1;
+}
+
+/** Undo claimTaskLink() when the task could not be created. */
+export async function releaseTaskLink(db, event, taskId) {
+  if (event.issueId) {
+    await db
+      .collection(COLLECTIONS.issues)
+      .updateOne({ _id: event.issueId }, { $pull: { tasks: { taskId } } });
+  }
+  await db
+    .collection(COLLECTIONS.errors)
+    .updateMany({ taskId }, { $set: { taskId: null } });
+}
+
+/** The task an issue's new occurrence in `projectId` inherits, or null. */
+export function inheritedTaskId(issue, projectId) {
+  return issue?.tasks?.find((t) => t.projectId === projectId)?.taskId ?? null;
+}
+
+/** "at fn (source:line:column)" lines — source-mapped when available. */
+function stackLines(event) {
+  const mapped = (event.mappedStack || []).filter((f) => !f.separator);
+  if (mapped.length) {
+    return mapped
+      .slice(0, MAX_FRAMES)
+      .map(
+        (f) =>
+          `  at ${f.function || "<anonymous>"} (${f.source}:${f.line}:${f.column})`,
+      );
+  }
+  return String(event.error?.stack ?? "")
+    .split("\n")
+    .slice(1, MAX_FRAMES + 1)
+    .map((line) => `  ${line.trim()}`)
+    .filter((line) => line.trim());
+}
+
+/** Title and description of the task for one occurrence (and its issue). */
+export function describeError(event, issue = null) {
+  const name = event.error?.name ?? "Error";
+  const message = event.error?.message ?? "";
+  const url = errorPageUrl({ error: String(event._id) });
+
+  const context = [
+    `Project: ${event.projectId ?? "unknown"}`,
+    event.release && `Release: ${event.release}`,
+    event.environment && `Environment: ${event.environment}`,
+  ].filter(Boolean);
+
+  const lines = [`${name}: ${message}`, "", context.join(" · ")];
+  lines.push(`Occurred: ${new Date(event.timestamp).toISOString()}`);
+  if (issue) {
+    lines.push(
+      `Seen ${issue.count} time(s) since ${new Date(issue.firstSeen).toISOString()}`,
+    );
+  }
+  lines.push(url ? `Error: ${url}` : `Error ID: ${event._id}`);
+
+  const stack = stackLines(event);
+  if (stack.length) lines.push("", "Stack trace:", ...stack);
+
+  return {
+    title: truncate(`${name}: ${message}`, MAX_TITLE),
+    description: lines.join("\n"),
+  };
+}
+
+/**
+ * Apply a task's status to the occurrences linked to it. `db` is the
+ * errors database. Returns how many occurrences changed.
+ */
+export async function syncLinkedErrors(db, task, session) {
+  const sync = STATUS_SYNC[task?.status];
+  if (!sync) return 0;
+
+  // The issue covers occurrences that raced the link at ingest
+  const linked = [{ taskId: task._id }];
+  if (task.source?.issueId) {
+    linked.push({
+      issueId: task.source.issueId,
+      projectId: task.source.projectId,
+    });
+  }
+  const result = await db
+    .collection(COLLECTIONS.errors)
+    .updateMany(
+      { $or: linked, status: sync.from },
+      statusUpdate(sync.status, session),
+    );
+  if (result.modifiedCount) {
+    await writeAudit(db, {
+      action: "tasks.sync",
+      session,
+      target: { taskId: task._id },
+      result: { status: sync.status, modified: result.modifiedCount },
+    });
+  }
+  return result.modifiedCount;
+}
@@ -0,0 +1,146 @@
+/* ───────────────────── Time series ───────────────────── */
+
+/**
+ * Bucketed occurrence counts for GET /api/error/analytics/timeseries.
+ * Buckets are UTC; weeks start on Monday. Empty buckets are filled in so
+ * charts get an evenly spaced series.
+ */
+export const INTERVALS = {
+  minute: { ms: 60 * 1000, defaultRange: 60 * 60 * 1000 },
+  hour: { ms: 60 * 60 * 1000, defaultRange: 2 * 24 * 60 * 60 * 1000 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultRange: 30 * 24 * 60 * 60 * 1000 },
+  week: {
+    ms: 7 * 24 * 60 * 60 * 1000,
+    defaultRange: 26 * 7 * 24 * 60 * 60 * 1000,
+  },
+};
+
+export const MAX_BUCKETS = 1500;
+
+/**
+ * Who an occurrence affected: the SDK user, the legacy top-level userId,
+ * then the employee code some clients put in deviceInfo. Null when the
+ * event carries none of them. Emails are keyed by their hash — the stored
+ * address is usually scrubbed to "[email]".
+ */
+export const USER_KEY = {
+  $ifNull: [
+    "$user.id",
+    "$user.emailHash",
+    "$user.username",
+    "$userId",
+    "$deviceInfo.employeeDetails.code",
+    null,
+  ],
+};
+
+/** Start of the UTC bucket `date` falls in — same as $dateTrunc. */
+export function truncate(date, interval) {
+  const d = new Date(date);
+  switch (interval) {
+    case "minute":
+      d.setUTCSeconds(0, 0);
+      break;
+    case "hour":
+      d.setUTCMinutes(0, 0, 0);
+      break;
+    case "week":
+      d.setUTCHours(0, 0, 0, 0);
+      // getUTCDay(): 0 = Sunday; step back to Monday
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      break;
+    default:
+      d.setUTCHours(0, 0, 0, 0);
+  }
+  return d;
+}
+
+/**
+ * Resolve interval / from / to (see buildErrorQuery for the latter two)
+ * into a validated range. Returns { interval, from, to } or { error }.
+ */
+export function resolveRange(searchParams, timestamp = {}, now = new Date()) {
+  const interval = searchParams.get("interval") || "day";
+  if (!INTERVALS[interval]) {
+    return {
+      error: `Invalid interval. Expected one of: ${Object.keys(INTERVALS).join(", ")}.`,
+    };
+  }
+
+  const to = timestamp.$lte ?? now;
+  const from =
+    timestamp.$gte ?? new Date(to.getTime() - INTERVALS[interval].defaultRange);
+  if (from > to) return { error: "from must be before to." };
+
+  const buckets =
+    Math.floor((to - truncate(from, interval)) / INTERVALS[interval].ms) + 1;
+  if (buckets > MAX_BUCKETS) {
+    return {
+      error: `Range too large for interval "${interval}": at most ${MAX_BUCKETS} buckets.`,
+    };
+  }
+  return { interval, from, to };
+}
+
+/** Aggregation pipeline: one row { t, count, users } per non-empty bucket. */
+export function bucketPipeline(match, interval) {
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$timestamp",
+            unit: interval,
+            startOfWeek: "monday",
+          },
+        },
+        count: { $sum: 1 },
+        users: { $addToSet: USER_KEY },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        t: "$_id",
+        count: 1,
+        users: {
+          $size: {
+            $filter: { input: "$users", cond: { $ne: ["$$this", null] } },
+          },
+        },
+      },
+    },
+    { $sort: { t: 1 } },
+  ];
+}
+
+/** Aggregation pipeline: { count, users } over the whole range. */
+export function totalsPipeline(match) {
+  return [
+    { $match: match },
+    { $group: { _id: USER_KEY, count: { $sum: 1 } } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: "$count" },
+        users: { $sum: { $cond: [{ $ne: ["$_id", null] }, 1, 0] } },
+      },
+    },
+  ];
+}
+
+/** Every bucket from `from` to `to`, zeros where nothing happened. */
+export function fillBuckets(rows, { interval, from, to }) {
+  const byTime = new Map(rows.map((r) => [new Date(r.t).getTime(), r]));
+  const out = [];
+  for (
+    let t = truncate(from, interval);
+    t <= to;
+    t = new Date(t.getTime() + INTERVALS[interval].ms)
+  ) {
+    const row = byTime.get(t.getTime());
+    out.push({ t, count: row?.count ?? 0, users: row?.users ?? 0 });
+  }
+  return out;
+}
@@ -0,0 +1,86 @@
+import { ObjectId } from "mongodb";
+import { COLLECTIONS } from "./collections.js";
+import { TASKS_DB } from "./tasks.js";
+
+/* ───────────────────── Assignment & comments ───────────────────── */
+
+/**
+ * Both hang off a target: one occurrence ({ errorId }) or a whole issue
+ * ({ issueId }). Assigning an issue sets `assignee` on the issue and on
+ * each of its occurrences, and later occurrences inherit it at ingest.
+ * Assignees are users of the task manager, stored as { id, name, email }
+ * so `?assignee=me` matches the session's id.
+ */
+export const USERS_DB = TASKS_DB;
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+/** { errorId } or { issueId } from a body or query → { target } or { error }. */
+export function parseTarget({ errorId, issueId }) {
+  if (Boolean(errorId) === Boolean(issueId)) {
+    return { error: "Invalid payload: exactly one of errorId or issueId." };
+  }
+  const [field, value] = errorId ? ["errorId", errorId] : ["issueId", issueId];
+  if (!ObjectId.isValid(value)) return { error: `Invalid ${field}.` };
+  return { target: { [field]: new ObjectId(value) } };
+}
+
+/** Occurrences a target covers. */
+export function targetErrorsFilter(target) {
+  return target.errorId ? { _id: target.errorId } : { issueId: target.issueId };
+}
+
+/** The user `userId` as an assignee, or null when there's no such user. */
+export async function findAssignee(client, userId) {
+  if (!ObjectId.isValid(userId)) return null;
+  const user = await client
+    .db(USERS_DB)
+    .collection("users")
+    .findOne(
+      { _id: new ObjectId(userId), deleted: { $ne: true } },
+      { projection: { name: 1, email: 1 } },
+    );
+  return (
+    user && {
+      id: user._id.toString(),
+      name: user.name ?? null,
+      email: user.email ?? null,
+    }
+  );
+}
+
+/** `assignee` null unassigns. */
+export function assignUpdate(assignee, session, at = new Date()) {
+  return {
+    $set: {
+      assignee,
+      assignedAt: assignee ? at : null,
+      assignedBy: session ? { id: session.id, name: session.name ?? null } : null,
+    },
+  };
+}
+
+/** Returns { text } or { error }. */
+export function normalizeCommentBody(body) {
+  if (typeof body !== "string" || !body.trim()) {
+    return { error: "Invalid payload: body must be a non-empty string." };
+  }
+  const text = body.trim();
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return {
+      error: `Comment too long: at most ${MAX_COMMENT_LENGTH} characters.`,
+    };
+  }
+  return { text };
+}
+
+/**
+ * Remove the threads of deleted errors or issues, e.g. { errorId: { $in } },
+ * { issueId: { $in } } or { projectId }. Returns how many went.
+ */
+export async function deleteComments(db, filter) {
+  const { deletedCount } = await db
+    .collection(COLLECTIONS.comments)
+    .deleteMany(filter);
+  return deletedCount;
+}
@@ -0,0 +1,30 @@
+import UAParser from "ua-parser-js";
+
+/* ───────────────────── User-agent parsing ───────────────────── */
+
+/**
+ * The structured fields breakdowns group on, parsed once at ingest and
+ * stored as `ua` on the occurrence:
+ *   { browser, browserVersion, browserMajor, os, osVersion, osMajor,
+ *     deviceType, deviceVendor, deviceModel }
+ * `deviceType` is "desktop" when the parser finds no mobile/tablet/tv/…
+ * marker. Returns null without a usable user-agent string.
+ */
+export function parseUserAgent(userAgent) {
+  if (typeof userAgent !== "string" || !userAgent.trim()) return null;
+  const parser = new UAParser(userAgent.slice(0, 512));
+  const { browser, os, device } = parser.getResult();
+  if (!browser.name && !os.name) return null;
+
+  return {
+    browser: browser.name ?? null,
+    browserVersion: browser.version ?? null,
+    browserMajor: browser.major ?? null,
+    os: os.name ?? null,
+    osVersion: os.version ?? null,
+    osMajor: os.version?.split(".")[0] ?? null,
+    deviceType: device.type ?? "desktop",
+    deviceVendor: device.vendor ?? null,
+    deviceModel: device.model ?? null,
+  };
+}
@@ -1,4 +1,10 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Reads its GeoIP database from disk relative to its own files
+  serverExternalPackages: ["geoip-country"],
+  // Sentry SDKs post to …/envelope/ — answer it directly instead of
+  // redirecting, since a cross-origin redirect breaks the SDK's request.
+  skipTrailingSlashRedirect: true,
+};
 
 module.exports = nextConfig;
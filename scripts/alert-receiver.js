@@ -0,0 +1,65 @@
+/**
+ * Local stand-in for alert webhooks — point a webhook or slack channel at
+ * it to see what pixpro sends without a real receiver.
+ *
+ *   npm run alert-receiver                      # http://localhost:4010
+ *   PIXPRO_ALERT_SECRET=whsec_… npm run alert-receiver
+ *                                               # also verify signatures
+ *   npm run alert-receiver -- --fail 2          # answer 500 to the first
+ *                                               # two requests (retries)
+ *
+ * For email, run any local SMTP catcher (e.g. MailHog on port 1025) and
+ * set PIXPRO_SMTP_URL=smtp://localhost:1025 on the app and the worker.
+ */
+import http from "node:http";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyWebhook,
+} from "../lib/tracker/notify.js";
+
+const PORT = Number(process.env.PIXPRO_RECEIVER_PORT) || 4010;
+const SECRET = process.env.PIXPRO_ALERT_SECRET || null;
+const failIndex = process.argv.indexOf("--fail");
+let failuresLeft =
+  failIndex === -1 ? 0 : Number(process.argv[failIndex + 1]) || 1;
+
+function describeSignature(headers, body) {
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  if (!signature) return "unsigned (slack-style)";
+  if (!SECRET) return "signed (set PIXPRO_ALERT_SECRET to verify)";
+  return verifyWebhook(SECRET, { timestamp, body, signature })
+    ? "signature OK"
+    : "signature MISMATCH";
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const verdict = describeSignature(req.headers, body);
+    let payload = body;
+    try {
+      payload = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // not JSON — print as received
+    }
+    const at = new Date().toISOString();
+    console.log(`[pixpro] ${at} ${req.method} ${req.url} — ${verdict}`);
+    console.log(payload);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log("[pixpro] Answering 500 to exercise retries");
+      res.writeHead(500).end("stand-in failure");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain" }).end("ok");
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[pixpro] Alert receiver listening on http://localhost:${PORT}`);
+});
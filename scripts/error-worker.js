@@ -0,0 +1,93 @@
+/**
+ * Background worker for the error tracker's job queue (`errors.jobs`).
+ *
+ *   npm run worker            # poll forever
+ *   npm run worker -- --once  # drain the queue and exit (cron)
+ *
+ * Needs MONGODB_URI. Run with PIXPRO_INLINE_JOBS=0 on the web app if this
+ * worker should be the only thing processing jobs. Retention passes only
+ * run here (they are too long for the ingest routes' inline draining).
+ */
+import os from "node:os";
+import { MongoClient } from "mongodb";
+import { ERRORS_DB, ensureIndexes } from "../lib/tracker/collections.js";
+import { JOB_HANDLERS } from "../lib/tracker/ingest.js";
+import { runJobs } from "../lib/tracker/jobs.js";
+import {
+  WORKER_REPORT_MS,
+  reportWorkerMetrics,
+} from "../lib/tracker/metrics.js";
+import {
+  RETENTION_HANDLERS,
+  scheduleRetention,
+} from "../lib/tracker/retention.js";
+
+const POLL_MS = Number(process.env.PIXPRO_WORKER_POLL_MS) || 2000;
+// Re-check that a retention pass is queued, in case the last one died
+const SCHEDULE_MS = 60 * 60 * 1000;
+const handlers = { ...JOB_HANDLERS, ...RETENTION_HANDLERS };
+const once = process.argv.includes("--once");
+const workerId = `${os.hostname()}:${process.pid}`;
+
+if (!process.env.MONGODB_URI) {
+  console.error('[pixpro] Missing environment variable: "MONGODB_URI"');
+  process.exit(1);
+}
+
+let stopping = false;
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    // Let the current job finish; a second signal exits immediately
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log(`[pixpro] ${signal} received, stopping after current job…`);
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  appName: "pixpro-error-worker",
+});
+
+try {
+  await client.connect();
+  const db = client.db(ERRORS_DB);
+  await ensureIndexes(db);
+  console.log(`[pixpro] Worker ${workerId} started`);
+
+  let scheduledAt = 0;
+  let reportedAt = 0;
+  while (!stopping) {
+    if (Date.now() - scheduledAt >= SCHEDULE_MS) {
+      await scheduleRetention(db);
+      scheduledAt = Date.now();
+    }
+    // Cache counters for GET /api/error/metrics
+    if (Date.now() - reportedAt >= WORKER_REPORT_MS) {
+      await reportWorkerMetrics(db, workerId).catch((err) =>
+        console.error("[pixpro] Failed to report metrics", err),
+      );
+      reportedAt = Date.now();
+    }
+
+    const stats = await runJobs(db, {
+      handlers,
+      workerId,
+      shouldStop: () => stopping,
+    });
+    if (stats.processed) {
+      console.log(
+        `[pixpro] Processed ${stats.processed} job(s): ` +
+          `${stats.succeeded} ok, ${stats.failed} retrying, ${stats.dead} dead`,
+      );
+    }
+    if (once) break;
+    if (!stats.processed) await sleep(POLL_MS);
+  }
+} catch (err) {
+  console.error("[pixpro] Worker crashed", err);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}